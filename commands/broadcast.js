@@ -0,0 +1,304 @@
+const fs = require("fs");
+const quais = require("quais");
+const { createProvider } = require("../lib/contract");
+const { RECEIPT_POLL_MS, VestingClient } = require("../lib/client");
+const { createLogger } = require("../lib/logger");
+const { withRetry } = require("../lib/retry");
+const { acquireLock } = require("../lib/lock");
+const { EXIT_CODES } = require("../lib/supervisor");
+const {
+  formatConfig,
+  requireOptions,
+  iterationFiles,
+} = require("../lib/config");
+const {
+  RECORD_HEADER,
+  DONE_STATES,
+  openLedger,
+  appendRecords,
+} = require("../lib/ledger");
+const {
+  readSignedTransactions,
+  matchSignedTransactions,
+} = require("../lib/signer");
+
+// Set by run() from the resolved configuration
+let config;
+let logMessage;
+let retryPolicy;
+
+// Broadcast errors meaning the node already has the transaction
+const ALREADY_KNOWN_PATTERN = /already known|known transaction/i;
+
+// Poll the receipts of the broadcast transactions until every one is mined
+// or the timeout passes. Returns the receipt of each hash, null if not mined.
+async function waitForReceipts(provider, hashes) {
+  const receipts = new Map(hashes.map((hash) => [hash, null]));
+  const deadline = Date.now() + config.txTimeoutMs;
+
+  while (true) {
+    for (const [hash, receipt] of receipts) {
+      if (!receipt) {
+        receipts.set(
+          hash,
+          await withRetry(
+            () => provider.getTransactionReceipt(hash),
+            retryPolicy
+          )
+        );
+      }
+    }
+    const waiting = [...receipts.values()].filter((receipt) => !receipt);
+    if (waiting.length === 0 || Date.now() >= deadline) {
+      return receipts;
+    }
+    await new Promise((resolve) =>
+      setTimeout(resolve, Math.min(RECEIPT_POLL_MS, deadline - Date.now()))
+    );
+  }
+}
+
+// Broadcast the signed transactions of an offline export, in nonce order, and
+// record their outcome in the iteration's state ledger and records file the
+// way create does. Transactions still pending at the timeout stay sent in the
+// ledger and are reconciled by the next create run. connections may hold a
+// provider and a vesting contract to use instead of connecting to the RPC URL.
+async function run(options, sources, connections = {}) {
+  config = options;
+  requireOptions(config, ["iteration", "rpcUrl", "contract", "signedFile"]);
+  retryPolicy = {
+    maxRetries: config.maxRetries,
+    retryDelay: config.retryDelayMs,
+    log: (message) =>
+      logMessage(message, { level: "warn", event: "rpc_retry" }),
+  };
+
+  const files = iterationFiles(config);
+  const exportFile = config.exportFile || files.unsigned;
+  fs.mkdirSync(config.logsDir, { recursive: true });
+  logMessage = createLogger(files.log, { consoleLevel: config.logLevel });
+  logMessage(`Run ${logMessage.runId}: broadcast`, {
+    event: "run_started",
+    iteration: config.iteration,
+  });
+  logMessage("Effective configuration:");
+  for (const line of formatConfig(config, sources)) {
+    logMessage(`  ${line}`);
+  }
+
+  const exported = JSON.parse(fs.readFileSync(exportFile, "utf8"));
+  if (exported.iteration !== config.iteration) {
+    throw new Error(
+      `${exportFile} is the export of iteration ${exported.iteration}, not ${config.iteration}`
+    );
+  }
+  if (exported.contract.toLowerCase() !== config.contract.toLowerCase()) {
+    throw new Error(
+      `${exportFile} is for contract ${exported.contract}, not ${config.contract}`
+    );
+  }
+  const matched = matchSignedTransactions(
+    exported,
+    readSignedTransactions(config.signedFile)
+  );
+  if (matched.length === 0) {
+    throw new Error(`No signed transactions in ${config.signedFile}`);
+  }
+
+  const provider =
+    connections.provider ||
+    createProvider(config.rpcUrl, {
+      quorum: config.rpcQuorum,
+      log: logMessage,
+    });
+  // Signed transactions are only pushed at the vesting contract on the
+  // expected chain
+  const client = new VestingClient({
+    contract: config.contract,
+    provider,
+    vestingContract: connections.vestingContract,
+    retryPolicy,
+  });
+  await client.assertDeployment(config.chainId);
+  if (String(config.chainId) !== exported.chainId) {
+    throw new Error(
+      `The node is on chain ${config.chainId}, the export is for chain ${exported.chainId}`
+    );
+  }
+
+  const lock = acquireLock(files.lock, {
+    runId: logMessage.runId,
+    iteration: config.iteration,
+  });
+  try {
+    return await broadcastMatched(provider, matched, exported, files);
+  } finally {
+    lock.release();
+  }
+}
+
+async function broadcastMatched(provider, matched, exported, files) {
+  const ledger = openLedger(files.state, { recordFile: files.records });
+  if (!fs.existsSync(files.records)) {
+    fs.writeFileSync(files.records, `${RECORD_HEADER}\n`);
+  }
+  const zone = quais.getZoneForAddress(exported.contract);
+  const secondsPerBlock = exported.timing
+    ? exported.timing.secondsPerBlock
+    : "";
+
+  const sent = [];
+  for (const { raw, tx, entry } of matched) {
+    const { batch, beneficiaries } = entry;
+    const done = beneficiaries.every((beneficiary) => {
+      const state = ledger.get(beneficiary.wallet);
+      return state && DONE_STATES.includes(state.state);
+    });
+    if (done) {
+      logMessage(
+        `Batch ${batch} at nonce ${tx.nonce} is already done in the state ledger. Skipping.`,
+        { event: "batch_skipped", batch, nonce: tx.nonce }
+      );
+      continue;
+    }
+
+    let hash;
+    try {
+      hash = await withRetry(async () => {
+        try {
+          return (await provider.broadcastTransaction(zone, raw)).hash;
+        } catch (error) {
+          // Sent by an earlier run that stopped before recording it
+          if (ALREADY_KNOWN_PATTERN.test(error.message)) {
+            return tx.hash;
+          }
+          throw error;
+        }
+      }, retryPolicy);
+    } catch (error) {
+      // Later nonces cannot be mined before this one, so stop here
+      logMessage(
+        `Could not broadcast batch ${batch} at nonce ${tx.nonce}: ${error.message}`,
+        { level: "error", event: "batch_failed", batch, nonce: tx.nonce }
+      );
+      throw error;
+    }
+
+    ledger.update(beneficiaries, "sent", { txHash: hash, nonce: tx.nonce });
+    logMessage(`Broadcast batch ${batch} as ${hash} at nonce ${tx.nonce}`, {
+      event: "batch_sent",
+      batch,
+      txHash: hash,
+      nonce: tx.nonce,
+    });
+    sent.push({ hash, batch, beneficiaries });
+  }
+
+  const receipts = await waitForReceipts(
+    provider,
+    sent.map(({ hash }) => hash)
+  );
+  const summary = {
+    broadcast: sent.length,
+    confirmed: 0,
+    reverted: 0,
+    pending: 0,
+    gasUsed: 0n,
+  };
+
+  for (const { hash, batch, beneficiaries } of sent) {
+    const receipt = receipts.get(hash);
+    if (!receipt) {
+      summary.pending++;
+      appendRecords(
+        files.records,
+        beneficiaries,
+        hash,
+        "pending",
+        secondsPerBlock
+      );
+      logMessage(
+        `Batch ${batch} (${hash}) is not mined after ${config.txTimeoutMs} ms; the next create run reconciles it`,
+        { level: "warn", event: "batch_pending", batch, txHash: hash }
+      );
+      continue;
+    }
+
+    summary.gasUsed += BigInt(receipt.gasUsed);
+    if (receipt.status === 1) {
+      summary.confirmed++;
+      ledger.update(beneficiaries, "confirmed", {
+        txHash: hash,
+        blockNumber: receipt.blockNumber,
+      });
+      appendRecords(
+        files.records,
+        beneficiaries,
+        hash,
+        "success",
+        secondsPerBlock
+      );
+      logMessage(
+        `Batch ${batch} mined as ${hash} in block ${receipt.blockNumber}`,
+        {
+          event: "batch_confirmed",
+          batch,
+          txHash: hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed,
+        }
+      );
+    } else {
+      summary.reverted++;
+      ledger.update(beneficiaries, "failed", {
+        txHash: hash,
+        reason: `Transaction ${hash} reverted in block ${receipt.blockNumber}`,
+      });
+      appendRecords(
+        files.records,
+        beneficiaries,
+        hash,
+        "failed",
+        secondsPerBlock
+      );
+      logMessage(
+        `Batch ${batch} (${hash}) reverted in block ${receipt.blockNumber}`,
+        { level: "error", event: "batch_reverted", batch, txHash: hash }
+      );
+    }
+  }
+
+  logMessage(
+    `Broadcast summary: ${summary.broadcast} broadcast, ${summary.confirmed} confirmed, ${summary.reverted} reverted, ${summary.pending} pending, using ${summary.gasUsed} gas`,
+    { event: "run_summary", ...summary }
+  );
+  const exitCode =
+    summary.reverted + summary.pending > 0
+      ? EXIT_CODES.incomplete
+      : EXIT_CODES.success;
+  return { ...summary, exitCode };
+}
+
+module.exports = {
+  description:
+    "Broadcast the signed transactions of create --signer offline and record them",
+  options: [
+    "config",
+    "profile",
+    "rpcUrl",
+    "rpcQuorum",
+    "chainId",
+    "contract",
+    "iteration",
+    "exportFile",
+    "signedFile",
+    "maxRetries",
+    "retryDelayMs",
+    "txTimeoutMs",
+    "logLevel",
+    "dataDir",
+    "recordsDir",
+    "logsDir",
+  ],
+  run,
+};
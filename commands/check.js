@@ -0,0 +1,441 @@
+const fs = require("fs");
+const Papa = require("papaparse");
+const quais = require("quais");
+const { VestingClient } = require("../lib/client");
+const { formatConfig, requireOptions } = require("../lib/config");
+const { formatAmount } = require("../lib/amount");
+const { mapWithConcurrency, createRateLimiter } = require("../lib/concurrency");
+const { vestingAmounts, formatPercentage } = require("../lib/schedule");
+const { measureBlockTime, estimateBlockDate } = require("../lib/blocktime");
+const { EXIT_CODES } = require("../lib/supervisor");
+
+// Fields of a structured result, in CSV column order
+const RESULT_COLUMNS = [
+  "address",
+  "valid",
+  "status",
+  "exists",
+  "error",
+  "currentBlock",
+  "totalAmount",
+  "vestedAmount",
+  "releasedAmount",
+  "claimableAmount",
+  "lockedAmount",
+  "totalAmountWei",
+  "vestedAmountWei",
+  "releasedAmountWei",
+  "claimableAmountWei",
+  "lockedAmountWei",
+  "vestedPercentage",
+  "releasedPercentage",
+  "claimablePercentage",
+  "lockedPercentage",
+  "startBlock",
+  "cliffBlock",
+  "durationInBlocks",
+  "endBlock",
+  "cliffDate",
+  "endDate",
+];
+
+// Header names of the address column in a CSV address file
+const ADDRESS_COLUMNS = ["wallet", "address"];
+
+// Set by run() from the resolved configuration
+let config;
+let retryPolicy;
+let client;
+
+// Chain head and block time, measured once per run
+let reference;
+
+// Function to get vesting schedule details for an address at the measured
+// chain head. status is exists, absent, or unknown when the lookup failed.
+async function getVestingScheduleDetails(address) {
+  const { status, schedule, error } = await client.checkSchedule(address);
+  if (status === "unknown") {
+    logMessage(
+      `Error checking vesting schedule for ${address}: ${error.message}`
+    );
+    return { status, error: error.message };
+  }
+
+  if (status === "exists") {
+    const { totalAmount, startBlock, durationInBlocks, cliffBlock, endBlock } =
+      schedule;
+    const { vested, released, claimable, locked } = vestingAmounts(
+      schedule,
+      reference.blockNumber
+    );
+    const cliffDate = estimateBlockDate(cliffBlock, reference);
+    const endDate = estimateBlockDate(endBlock, reference);
+
+    return {
+      status,
+      currentBlock: reference.blockNumber,
+      totalAmount: quais.formatQuai(totalAmount),
+      vestedAmount: quais.formatQuai(vested),
+      releasedAmount: quais.formatQuai(released),
+      claimableAmount: quais.formatQuai(claimable),
+      lockedAmount: quais.formatQuai(locked),
+      totalAmountWei: totalAmount.toString(),
+      vestedAmountWei: vested.toString(),
+      releasedAmountWei: released.toString(),
+      claimableAmountWei: claimable.toString(),
+      lockedAmountWei: locked.toString(),
+      vestedPercentage: formatPercentage(vested, totalAmount),
+      releasedPercentage: formatPercentage(released, totalAmount),
+      claimablePercentage: formatPercentage(claimable, totalAmount),
+      lockedPercentage: formatPercentage(locked, totalAmount),
+      startBlock,
+      durationInBlocks,
+      cliffBlock,
+      endBlock,
+      cliffDate: cliffDate && cliffDate.toISOString(),
+      endDate: endDate && endDate.toISOString(),
+    };
+  }
+  return { status };
+}
+
+// Function to log messages. Structured results are written to stdout, so
+// the log goes to stderr for every format but text.
+function logMessage(message) {
+  if (config && config.format !== "text") {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
+}
+
+// Read addresses from a file, or from stdin if the file is "-". A CSV with a
+// wallet or address header column is read by that column, anything else as
+// one address per line.
+function readAddressFile(file) {
+  if (file !== "-" && !fs.existsSync(file)) {
+    throw new Error(`Address file ${file} not found`);
+  }
+  const text = fs.readFileSync(file === "-" ? 0 : file, "utf8");
+  const lines = text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "");
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = lines[0].split(",").map((cell) => cell.trim().toLowerCase());
+  const column = header.findIndex((cell) => ADDRESS_COLUMNS.includes(cell));
+  if (column === -1) {
+    return lines.map((line) => line.split(",")[0].trim());
+  }
+  return Papa.parse(lines.slice(1).join("\n"), { skipEmptyLines: true })
+    .data.map((row) => (row[column] || "").trim())
+    .filter((address) => address !== "");
+}
+
+// Check the vesting schedule of one address. status is exists, absent,
+// unknown when the lookup failed, or invalid for a malformed address.
+async function checkAddress(address) {
+  logMessage(`Checking address: ${address}`);
+
+  // isQuaiAddress only looks at the ledger bit, so check the format first
+  if (!quais.isAddress(address) || !quais.isQuaiAddress(address)) {
+    logMessage(`Invalid Quai address: ${address}`);
+    return {
+      address,
+      valid: false,
+      status: "invalid",
+      message: "Invalid Quai address",
+    };
+  }
+
+  try {
+    const details = await getVestingScheduleDetails(address);
+
+    if (details.status === "exists") {
+      logMessage(`✅ Vesting schedule found for ${address}:`);
+      logMessage(
+        `   Total Amount: ${formatAmount(BigInt(details.totalAmountWei))}`
+      );
+      logMessage(
+        `   Vested Amount: ${formatAmount(BigInt(details.vestedAmountWei))} (${
+          details.vestedPercentage
+        })`
+      );
+      logMessage(
+        `   Released Amount: ${formatAmount(
+          BigInt(details.releasedAmountWei)
+        )} (${details.releasedPercentage})`
+      );
+      logMessage(
+        `   Claimable Now: ${formatAmount(
+          BigInt(details.claimableAmountWei)
+        )} (${details.claimablePercentage})`
+      );
+      logMessage(
+        `   Locked Amount: ${formatAmount(BigInt(details.lockedAmountWei))} (${
+          details.lockedPercentage
+        })`
+      );
+      logMessage(`   Start Block: ${details.startBlock}`);
+      logMessage(
+        `   Cliff Block: ${details.cliffBlock}${formatDate(details.cliffDate)}`
+      );
+      logMessage(`   Duration: ${details.durationInBlocks} blocks`);
+      logMessage(
+        `   End Block: ${details.endBlock}${formatDate(details.endDate)}`
+      );
+
+      return {
+        address,
+        valid: true,
+        status: "exists",
+        exists: true,
+        details,
+      };
+    } else if (details.status === "unknown") {
+      // Not known to have no schedule, so exists stays empty
+      logMessage(`❓ Could not check ${address}: ${details.error}`);
+      return {
+        address,
+        valid: true,
+        status: "unknown",
+        exists: null,
+        error: details.error,
+      };
+    } else {
+      logMessage(`❌ No vesting schedule found for ${address}`);
+      return {
+        address,
+        valid: true,
+        status: "absent",
+        exists: false,
+      };
+    }
+  } catch (error) {
+    logMessage(`Error checking ${address}: ${error.message}`);
+    return {
+      address,
+      valid: true,
+      status: "unknown",
+      exists: null,
+      error: error.message,
+    };
+  }
+}
+
+// Format an estimated date for a block line, if the block time is known
+function formatDate(date) {
+  return date ? ` (est. ${date})` : "";
+}
+
+// Main function to check vesting schedules
+async function checkVestingSchedules(addresses) {
+  if (!addresses || addresses.length === 0) {
+    logMessage("No addresses provided to check");
+    return [];
+  }
+
+  logMessage(`Checking vesting schedules for ${addresses.length} addresses...`);
+
+  const results = await mapWithConcurrency(
+    addresses,
+    config.concurrency,
+    checkAddress
+  );
+
+  logMessage(`Completed checking ${addresses.length} addresses`);
+  return results;
+}
+
+// Print the one-line-per-address summary of the text format
+function printSummary(results) {
+  console.log("\nSummary:");
+  console.log("-----------------------------------------");
+
+  for (const result of results) {
+    if (!result.valid) {
+      console.log(`${result.address}: Invalid address`);
+    } else if (result.status === "unknown") {
+      continue;
+    } else if (result.exists) {
+      console.log(
+        `${result.address}: ✅ Has vesting schedule - ${formatAmount(
+          BigInt(result.details.totalAmountWei)
+        )}, ${result.details.vestedPercentage} vested, ${
+          result.details.releasedPercentage
+        } released`
+      );
+    } else {
+      console.log(`${result.address}: ❌ No vesting schedule`);
+    }
+  }
+
+  // Listed apart, since they may or may not have a schedule
+  const unknown = results.filter(({ status }) => status === "unknown");
+  if (unknown.length > 0) {
+    console.log("\nCould not be checked, run check again for these:");
+    for (const result of unknown) {
+      console.log(`${result.address}: ❓ ${result.error}`);
+    }
+  }
+
+  console.log("-----------------------------------------");
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+  console.log(
+    `${count("exists")} with a schedule, ${count("absent")} without, ${count(
+      "unknown"
+    )} unknown, ${count("invalid")} invalid`
+  );
+}
+
+// Flatten a result into one record with every column, null if not known
+function toResultRow(result) {
+  const { status, ...details } = result.details || {};
+  const row = {
+    ...details,
+    address: result.address,
+    valid: result.valid,
+    status: result.status,
+    exists: result.valid ? result.exists : null,
+    error: result.error || result.message || null,
+  };
+  return Object.fromEntries(
+    RESULT_COLUMNS.map((column) => [
+      column,
+      row[column] === undefined ? null : row[column],
+    ])
+  );
+}
+
+// Format the results as JSON, NDJSON or CSV
+function formatResults(results) {
+  const rows = results.map(toResultRow);
+  switch (config.format) {
+    case "json":
+      return JSON.stringify(rows, null, 2) + "\n";
+    case "ndjson":
+      return rows.map((row) => JSON.stringify(row) + "\n").join("");
+    default:
+      return (
+        Papa.unparse(rows, { columns: RESULT_COLUMNS, newline: "\n" }) + "\n"
+      );
+  }
+}
+
+// Check the vesting schedules of the configured addresses. connections may
+// hold a provider and a vesting contract to use instead of connecting to the
+// RPC URL. Resolves to exit code 2 if some addresses could not be checked;
+// any other failure is thrown.
+async function run(options, sources, connections = {}) {
+  config = options;
+  requireOptions(config, ["rpcUrl", "contract"]);
+
+  const addresses = [...(config.addresses || [])];
+  if (config.addressFile) {
+    addresses.push(...readAddressFile(config.addressFile));
+  }
+  if (addresses.length === 0) {
+    throw new Error(
+      "No addresses to check, pass them as arguments, with --address or with --address-file"
+    );
+  }
+
+  // Each address is looked up once, in the order first given
+  const seen = new Set();
+  const uniqueAddresses = addresses.filter((address) => {
+    const key = address.toLowerCase();
+    return !seen.has(key) && seen.add(key);
+  });
+  if (uniqueAddresses.length < addresses.length) {
+    logMessage(
+      `Skipping ${
+        addresses.length - uniqueAddresses.length
+      } duplicate address(es)`
+    );
+  }
+
+  retryPolicy = {
+    maxRetries: config.maxRetries,
+    retryDelay: config.retryDelayMs,
+    log: logMessage,
+  };
+
+  logMessage("Effective configuration:");
+  for (const line of formatConfig(config, sources)) {
+    logMessage(`  ${line}`);
+  }
+
+  client = new VestingClient({
+    contract: config.contract,
+    provider: connections.provider,
+    vestingContract: connections.vestingContract,
+    rpcUrl: config.rpcUrl,
+    retryPolicy,
+    rpcBatchSize: config.rpcBatchSize,
+    rpcQuorum: config.rpcQuorum,
+    log: logMessage,
+    rateLimiter: createRateLimiter(config.rpcRateLimit),
+  });
+  const { provider } = client;
+  // A wrong endpoint or contract stops the check instead of reporting every
+  // address as without a schedule
+  await client.assertDeployment(config.chainId);
+
+  reference = await measureBlockTime(
+    provider,
+    quais.getZoneForAddress(config.contract),
+    { window: config.blockTimeWindow, retryPolicy }
+  );
+  logMessage(
+    `Current block: ${reference.blockNumber}${
+      reference.secondsPerBlock
+        ? `, average block time ${reference.secondsPerBlock.toFixed(
+            2
+          )}s over the last ${reference.window} blocks`
+        : ", too few blocks to measure the block time"
+    }`
+  );
+
+  const results = await checkVestingSchedules(uniqueAddresses);
+  if (config.format === "text") {
+    printSummary(results);
+  } else if (config.output) {
+    fs.writeFileSync(config.output, formatResults(results));
+    logMessage(`Results written to ${config.output}`);
+  } else {
+    process.stdout.write(formatResults(results));
+  }
+
+  // A scripted check can tell an answer with unknown addresses apart
+  if (results.some(({ status }) => status === "unknown")) {
+    return { exitCode: EXIT_CODES.incomplete };
+  }
+}
+
+module.exports = {
+  description: "Check the vesting schedules of a list of addresses",
+  options: [
+    "config",
+    "profile",
+    "rpcUrl",
+    "rpcQuorum",
+    "chainId",
+    "contract",
+    "addresses",
+    "addressFile",
+    "format",
+    "output",
+    "concurrency",
+    "rpcRateLimit",
+    "rpcBatchSize",
+    "blockTimeWindow",
+    "maxRetries",
+    "retryDelayMs",
+  ],
+  positionals: "addresses",
+  run,
+};
@@ -0,0 +1,1949 @@
+const fs = require("fs");
+const quais = require("quais");
+const path = require("path");
+const Papa = require("papaparse");
+const {
+  createProvider,
+  encodeAddBeneficiaries,
+  decodeAddBeneficiaries,
+} = require("../lib/contract");
+const { RECEIPT_POLL_MS, VestingClient } = require("../lib/client");
+const { createLogger } = require("../lib/logger");
+const { withRetry } = require("../lib/retry");
+const { acquireLock } = require("../lib/lock");
+const { mapWithConcurrency, createRateLimiter } = require("../lib/concurrency");
+const { openScanCache } = require("../lib/scan");
+const {
+  EXIT_CODES,
+  signalExitCode,
+  FatalError,
+  runWithRestarts,
+} = require("../lib/supervisor");
+const { formatAmount } = require("../lib/amount");
+const {
+  RECORD_HEADER,
+  DONE_STATES,
+  LEDGER_STATES,
+  openLedger,
+  appendRecords,
+  writeFileAtomic,
+} = require("../lib/ledger");
+const {
+  OPTIONS,
+  formatConfig,
+  requireOptions,
+  iterationFiles,
+} = require("../lib/config");
+const {
+  EXPORT_SIGNERS,
+  loadSigner,
+  unsignedTransaction,
+  safeTransactionBatch,
+} = require("../lib/signer");
+const {
+  readVestingCsv,
+  validateVestingRows,
+  formatRowError,
+} = require("../lib/input");
+const {
+  SECONDS_PER_DAY,
+  fixedTiming,
+  dateToBlock,
+  computeSchedule,
+  toContractSchedule,
+} = require("../lib/schedule");
+const { measureBlockTime } = require("../lib/blocktime");
+const {
+  MAX_BATCH_SIZE,
+  isSizeError,
+  gasBudget,
+  fitBatches,
+} = require("../lib/batching");
+const { loadHistory, priorAllocations } = require("../lib/history");
+
+// Headroom over the gas estimate of an offline transaction, whose gas limit
+// cannot be raised once it is signed
+const OFFLINE_GAS_MARGIN_PERCENT = 20;
+
+// Options the pinned schedule timing of an iteration is computed from
+const TIMING_OPTIONS = [
+  "blocksPerDay",
+  "startBlock",
+  "startDate",
+  "cliffDate",
+  "endDate",
+  "startOffsetDays",
+  "cliffDays",
+  "durationDays",
+];
+
+// Pre-scan lookups between progress messages and saves of the scan cache
+const SCAN_PROGRESS_EVERY = 500;
+
+// Send errors meaning the pinned nonce was already used
+const NONCE_USED_PATTERN = /nonce too low|nonce has already been used/i;
+
+// Set by run() from the resolved configuration
+let config;
+let retryPolicy;
+let logMessage;
+let provider;
+let client;
+let signerAddress;
+let data = [];
+let VESTING_SOURCE_FILE;
+let VESTING_RECORD_FILE;
+let VESTING_LOG_FILE;
+let VESTING_STATE_FILE;
+let PLAN_FILE;
+let SCAN_FILE;
+let QUARANTINE_FILE;
+let LOCK_FILE;
+let EXPORT_FILE;
+
+// Offline and Safe exports of the iteration, which may hold wallets not
+// broadcast yet
+let EXPORT_FILES;
+
+// offline or safe when the batches are exported instead of sent
+let exportMode;
+
+// Per-wallet state ledger, the source of truth for resuming
+let ledger;
+
+// Nonce for the next batch transaction, pinned once per run
+let nextNonce;
+
+// Block time used to convert days and dates to blocks, set by calibrateTiming()
+let timing;
+
+// Whether run() is in progress in this process
+let running = false;
+
+// Signal that asked the run to stop, such as SIGINT. The batch in flight is
+// finished or recorded first, and no further batch is sent.
+let shutdownSignal = null;
+
+// Whether a batch is being sent, so a shutdown has to wait for it
+let batchInFlight = false;
+
+// Batches collected by a dry run
+const plannedBatches = [];
+
+// Wallets created, amount sent and gas used by the current run, for the run
+// summary
+let runTotals;
+
+// Look up which wallets already have a vesting schedule in the contract
+// before anything is batched, with --concurrency lookups in flight and at
+// most --rpc-rate-limit per second. Fresh results are taken from the scan
+// cache, and new ones are saved to it as the scan goes so a restarted run
+// does not look them up again. Returns the status of each wallet, exists,
+// absent or unknown, keyed by lowercased wallet, and the error of each
+// unknown one. A failed lookup is unknown and is not cached.
+async function scanExistingSchedules(wallets) {
+  const cache = openScanCache(SCAN_FILE, {
+    contract: config.contract,
+    maxAgeMs: config.scanCacheMinutes * 60 * 1000,
+    readOnly: config.dryRun,
+  });
+  const statuses = new Map();
+  const errors = new Map();
+  const lookups = [];
+  for (const wallet of wallets) {
+    const cached = cache.get(wallet);
+    if (cached === undefined) {
+      lookups.push(wallet);
+    } else {
+      statuses.set(wallet.toLowerCase(), cached ? "exists" : "absent");
+    }
+  }
+
+  logMessage(
+    `Pre-scan: ${statuses.size} of ${
+      wallets.length
+    } wallets from ${SCAN_FILE}, looking up ${lookups.length} with ${
+      config.concurrency
+    } in flight${
+      config.rpcRateLimit
+        ? ` and at most ${config.rpcRateLimit} per second`
+        : ""
+    }`,
+    { event: "prescan", cached: statuses.size, lookups: lookups.length }
+  );
+
+  const startedAt = Date.now();
+  let done = 0;
+  await mapWithConcurrency(lookups, config.concurrency, async (wallet) => {
+    if (shutdownSignal) {
+      return;
+    }
+    const { status, error } = await client.checkSchedule(wallet);
+    statuses.set(wallet.toLowerCase(), status);
+    if (status === "unknown") {
+      errors.set(wallet.toLowerCase(), error.message);
+      logMessage(
+        `Error checking vesting schedule for ${wallet}: ${error.message}`,
+        { level: "error", event: "schedule_check_failed", wallet }
+      );
+    } else {
+      cache.set(wallet, status === "exists");
+    }
+
+    done++;
+    if (done % SCAN_PROGRESS_EVERY === 0) {
+      cache.save();
+      logMessage(`Pre-scan: looked up ${done} of ${lookups.length} wallets`, {
+        event: "prescan",
+        done,
+      });
+    }
+  });
+  cache.save();
+
+  logMessage(
+    `Pre-scan: looked up ${done} wallets in ${Date.now() - startedAt} ms, ${
+      errors.size
+    } could not be checked`,
+    {
+      event: "prescan_completed",
+      done,
+      unknown: errors.size,
+      durationMs: Date.now() - startedAt,
+    }
+  );
+  return { statuses, errors };
+}
+
+// Write the wallets whose schedule could not be looked up to the quarantine
+// file, a CSV with a wallet column that check --address-file reads, or
+// remove the file when there are none. A dry run only logs them.
+function writeQuarantine(quarantined) {
+  if (quarantined.length > 0) {
+    logMessage(
+      `##### ${
+        quarantined.length
+      } wallets could not be checked for an existing schedule and were not batched${
+        config.dryRun ? "" : `. Listed in ${QUARANTINE_FILE}`
+      }; the next run checks them again`,
+      { level: "warn", event: "quarantine", wallets: quarantined.length }
+    );
+  }
+  if (config.dryRun) {
+    return;
+  }
+  if (quarantined.length === 0) {
+    fs.rmSync(QUARANTINE_FILE, { force: true });
+    return;
+  }
+  writeFileAtomic(
+    QUARANTINE_FILE,
+    Papa.unparse(
+      {
+        fields: ["wallet", "amount", "error", "checked_at"],
+        data: quarantined.map(({ wallet, amount, error, checkedAt }) => [
+          wallet,
+          amount.toString(),
+          error,
+          checkedAt,
+        ]),
+      },
+      { newline: "\n" }
+    ) + "\n"
+  );
+}
+
+// Measure the block time when any calendar date is configured and convert the
+// dates to target blocks. Without dates the fixed --blocks-per-day is used.
+// Start offsets count from the chain head at this point, the anchor block.
+async function calibrateTiming() {
+  if (!config.startDate && !config.cliffDate && !config.endDate) {
+    timing = fixedTiming(await client.getBlockNumber(), config.blocksPerDay);
+    if (config.startBlock !== undefined) {
+      timing.startBlock = config.startBlock;
+    }
+    return;
+  }
+
+  const measured = await measureBlockTime(
+    provider,
+    quais.getZoneForAddress(config.contract),
+    { window: config.blockTimeWindow, retryPolicy }
+  );
+  if (!measured.secondsPerBlock) {
+    throw new FatalError(
+      "Cannot measure the block time to convert dates: the chain has no earlier blocks"
+    );
+  }
+  timing = { calibrated: true, ...measured, anchorBlock: measured.blockNumber };
+  if (config.startBlock !== undefined) {
+    timing.startBlock = config.startBlock;
+  }
+  logMessage(
+    `Measured block time: ${measured.secondsPerBlock.toFixed(
+      3
+    )} seconds per block (${(
+      SECONDS_PER_DAY / measured.secondsPerBlock
+    ).toFixed(1)} blocks per day) over blocks ${
+      measured.blockNumber - measured.window
+    }-${measured.blockNumber}`,
+    { event: "block_time_measured", secondsPerBlock: measured.secondsPerBlock }
+  );
+
+  for (const [name, option] of [
+    ["startBlock", "startDate"],
+    ["cliffBlock", "cliffDate"],
+    ["endBlock", "endDate"],
+  ]) {
+    if (config[option]) {
+      timing[name] = dateToBlock(config[option], measured);
+      logMessage(
+        `Target ${option} ${config[option].toISOString()}: block ${
+          timing[name]
+        }`,
+        { event: "date_target", [name]: timing[name] }
+      );
+    }
+  }
+
+  if (
+    timing.startBlock !== undefined &&
+    timing.startBlock < measured.blockNumber
+  ) {
+    throw new FatalError(
+      `Start date ${config.startDate.toISOString()} is before the current block ${
+        measured.blockNumber
+      }`
+    );
+  }
+  const { startBlock, cliffBlock, endBlock } = timing;
+  if (
+    startBlock !== undefined &&
+    endBlock !== undefined &&
+    endBlock <= startBlock
+  ) {
+    throw new FatalError("End date must be after the start");
+  }
+  if (
+    startBlock !== undefined &&
+    cliffBlock !== undefined &&
+    cliffBlock < startBlock
+  ) {
+    throw new FatalError("Cliff date cannot be before the start");
+  }
+  if (
+    cliffBlock !== undefined &&
+    endBlock !== undefined &&
+    cliffBlock > endBlock
+  ) {
+    throw new FatalError("Cliff date cannot be after the end date");
+  }
+}
+
+// Pin the schedule timing of the iteration in the run state on its first
+// run, and reuse it on every later run so all batches share the same anchor,
+// start, cliff and end blocks
+async function pinTiming() {
+  const options = Object.fromEntries(
+    TIMING_OPTIONS.map((name) => [
+      name,
+      config[name] instanceof Date
+        ? config[name].toISOString()
+        : config[name] === undefined
+        ? null
+        : config[name],
+    ])
+  );
+
+  const pinned = ledger.run();
+  if (pinned && pinned.timing) {
+    // Runs pinned by earlier versions do not hold the day options
+    const changed = TIMING_OPTIONS.filter(
+      (name) => name in pinned.options && pinned.options[name] !== options[name]
+    );
+    if (changed.length > 0) {
+      throw new FatalError(
+        `The schedule blocks of iteration ${
+          config.iteration
+        } were pinned with ${changed
+          .map((name) => `${OPTIONS[name].flag} ${pinned.options[name]}`)
+          .join(
+            ", "
+          )}. Run with the same values, or remove "run" from ${VESTING_STATE_FILE} to pin them again`
+      );
+    }
+    // Timings pinned by earlier versions do not hold the fixed blocks per
+    // day, which is a pinned option and so unchanged
+    timing = { blocksPerDay: config.blocksPerDay, ...pinned.timing };
+    logMessage(
+      `Reusing the schedule blocks pinned at ${pinned.pinnedAt}: start offsets count from block ${timing.anchorBlock}`,
+      { event: "timing_reused", anchorBlock: timing.anchorBlock }
+    );
+    return;
+  }
+
+  await calibrateTiming();
+  ledger.setRun({ pinnedAt: new Date().toISOString(), options, timing });
+  logMessage(
+    `Pinned the schedule blocks of iteration ${
+      config.iteration
+    }: start offsets count from block ${timing.anchorBlock}${
+      timing.startBlock !== undefined
+        ? `, start block ${timing.startBlock}`
+        : ""
+    }`,
+    { event: "timing_pinned", anchorBlock: timing.anchorBlock }
+  );
+}
+
+// Per-row parameter defaults. A parameter set by a calendar date or an
+// explicit start block has none.
+function vestingDefaults() {
+  return {
+    startOffsetDays:
+      config.startDate || config.startBlock !== undefined
+        ? null
+        : config.startOffsetDays,
+    cliffDays: config.cliffDate ? null : config.cliffDays,
+    durationDays: config.endDate ? null : config.durationDays,
+  };
+}
+
+// Calculate each beneficiary's start, cliff and duration from its own
+// parameters, or from the target blocks of the configured dates
+function computeSchedules(beneficiaries) {
+  return beneficiaries.map((beneficiary) =>
+    computeSchedule(beneficiary, timing)
+  );
+}
+
+// Describe where a schedule parameter came from, for the batch log
+function describeParam(days, dateOption, daysPrefix = "", datePrefix = "") {
+  if (days !== null) {
+    return `${daysPrefix}${days} days`;
+  }
+  return config[dateOption]
+    ? `${datePrefix}${config[dateOption].toISOString()}`
+    : "--start-block";
+}
+
+// Compute the start, cliff, duration and end blocks of a batch from the
+// pinned timing
+function scheduleBatch(beneficiaries, batch) {
+  const scheduled = computeSchedules(beneficiaries);
+
+  for (const s of scheduled) {
+    logMessage(
+      `${s.wallet}: Start block: ${s.startBlock} (${describeParam(
+        s.startOffsetDays,
+        "startDate",
+        "offset "
+      )}), ` +
+        `Cliff block: ${s.cliffBlock} (${describeParam(
+          s.cliffDays,
+          "cliffDate"
+        )}), ` +
+        `Duration: ${s.durationBlocks} blocks (${describeParam(
+          s.durationDays,
+          "endDate",
+          "",
+          "until "
+        )})`,
+      {
+        level: "debug",
+        event: "wallet_scheduled",
+        wallet: s.wallet,
+        batch,
+        startBlock: s.startBlock,
+        cliffBlock: s.cliffBlock,
+        endBlock: s.endBlock,
+      }
+    );
+  }
+
+  return scheduled;
+}
+
+// Split the queued beneficiaries into batches of at most --batch-size whose
+// estimated gas stays within --gas-target-percent of the block gas limit.
+// A beneficiary the contract reverts on its own is left out and marked
+// failed, so it does not hold back the rest of its batch. Returns
+// [{ items, gas }] with the estimate of each batch.
+async function sizeBatches(beneficiaries) {
+  if (beneficiaries.length === 0) {
+    return [];
+  }
+
+  const blockGasLimit = await client.getBlockGasLimit();
+  const budget = gasBudget(blockGasLimit, config.gasTargetPercent);
+  const maxSize = config.batchSize || MAX_BATCH_SIZE;
+  logMessage(
+    `Sizing batches of up to ${maxSize} beneficiaries within ${budget} gas (${config.gasTargetPercent}% of the block gas limit ${blockGasLimit})`,
+    { event: "batch_sizing", blockGasLimit, budget, maxSize }
+  );
+
+  const rejected = [];
+  const fitted = await fitBatches(beneficiaries, {
+    maxSize,
+    budget,
+    estimate: (batch) =>
+      client.estimateAddBeneficiaries(computeSchedules(batch), {
+        from: signerAddress,
+      }),
+    reject: ({ wallet }, error) => {
+      logMessage(
+        `##### The contract rejects beneficiary ${wallet}: ${error.message}. Left out of the batches`,
+        { level: "error", event: "wallet_rejected", wallet }
+      );
+      runTotals.invalidWallets.add(wallet.toLowerCase());
+      rejected.push({ wallet, reason: error.message });
+    },
+  });
+  if (rejected.length > 0) {
+    ledger.update(rejected, "failed");
+  }
+  for (const { items, gas } of fitted) {
+    if (gas > budget) {
+      logMessage(
+        `${items[0].wallet} alone needs ${gas} gas, over the budget of ${budget}. Sending it in a batch of its own`,
+        { level: "warn", event: "batch_over_budget", wallet: items[0].wallet }
+      );
+    }
+  }
+  logMessage(
+    `${beneficiaries.length - rejected.length} beneficiaries fit in ${
+      fitted.length
+    } batches`,
+    { event: "batch_sizing", batches: fitted.length }
+  );
+  return fitted;
+}
+
+// Abort before the first transaction if the remaining amounts and the
+// estimated gas of the sized batches are not covered by the signer, or by
+// the contract when it holds the tokens
+async function preflightCheck(batches) {
+  if (batches.length === 0) {
+    return;
+  }
+
+  let totalAmount = 0n;
+  let totalGas = 0n;
+  for (const { items, gas } of batches) {
+    totalAmount += items.reduce((sum, { amount }) => sum + amount, 0n);
+    totalGas += gas;
+  }
+
+  const gasPrice = await getGasPrice();
+  const gasCost = totalGas * gasPrice;
+
+  const signerBalance = await withRetry(
+    () => provider.getBalance(signerAddress),
+    retryPolicy
+  );
+
+  logMessage(`Pre-flight: remaining amount ${formatAmount(totalAmount)}`, {
+    event: "preflight",
+    amount: totalAmount,
+  });
+  logMessage(
+    `Pre-flight: estimated gas ${totalGas} at ${gasPrice} wei per gas, cost ${formatAmount(
+      gasCost
+    )}`,
+    { event: "preflight", gas: totalGas, gasPrice }
+  );
+  logMessage(`Pre-flight: signer balance ${formatAmount(signerBalance)}`, {
+    event: "preflight",
+    balance: signerBalance,
+  });
+
+  // Each requirement is [description, required, available]
+  const requirements = [];
+  if (config.fundingSource === "contract") {
+    const contractBalance = await withRetry(
+      () => provider.getBalance(config.contract),
+      retryPolicy
+    );
+    logMessage(
+      `Pre-flight: contract balance ${formatAmount(contractBalance)}`,
+      { event: "preflight", contractBalance }
+    );
+    requirements.push(["contract balance", totalAmount, contractBalance]);
+    requirements.push(["signer balance for gas", gasCost, signerBalance]);
+  } else {
+    requirements.push([
+      "signer balance for amounts and gas",
+      totalAmount + gasCost,
+      signerBalance,
+    ]);
+  }
+
+  const shortfalls = requirements.filter(
+    ([, required, available]) => available < required
+  );
+  for (const [description, required, available] of shortfalls) {
+    logMessage(
+      `##### Pre-flight shortfall: ${description} needs ${formatAmount(
+        required
+      )}, has ${formatAmount(available)}, short by ${formatAmount(
+        required - available
+      )}`,
+      { level: "error", event: "preflight_shortfall", required, available }
+    );
+  }
+  if (shortfalls.length > 0) {
+    throw new FatalError(
+      "Pre-flight check failed: insufficient funds, no transactions were sent"
+    );
+  }
+  logMessage("Pre-flight check passed", { event: "preflight" });
+}
+
+// Add a batch to the dry-run plan instead of sending it
+async function planBeneficiaryBatch(beneficiaries) {
+  if (beneficiaries.length === 0) {
+    return;
+  }
+
+  const scheduled = scheduleBatch(beneficiaries, plannedBatches.length + 1);
+  const totalAmount = scheduled.reduce((sum, { amount }) => sum + amount, 0n);
+
+  plannedBatches.push({
+    batch: plannedBatches.length + 1,
+    beneficiaryCount: scheduled.length,
+    totalAmount: totalAmount.toString(),
+    beneficiaries: scheduled.map((s) => ({
+      wallet: s.wallet,
+      amount: s.amount.toString(),
+      startBlock: s.startBlock,
+      cliffBlock: s.cliffBlock,
+      durationBlocks: s.durationBlocks,
+      endBlock: s.endBlock,
+    })),
+  });
+
+  logMessage(
+    `Planned batch ${plannedBatches.length} of ${
+      scheduled.length
+    } beneficiaries, total amount ${formatAmount(totalAmount)}`,
+    {
+      event: "batch_planned",
+      batch: plannedBatches.length,
+      amount: totalAmount,
+    }
+  );
+}
+
+// Write the dry-run plan with every batch that would have been sent
+function writePlan() {
+  const totalAmount = plannedBatches.reduce(
+    (sum, batch) => sum + BigInt(batch.totalAmount),
+    0n
+  );
+  const plan = {
+    createdAt: new Date().toISOString(),
+    iteration: config.iteration,
+    contract: config.contract,
+    amountUnit: "wei",
+    sourceFile: VESTING_SOURCE_FILE,
+    timing,
+    batchCount: plannedBatches.length,
+    beneficiaryCount: plannedBatches.reduce(
+      (count, batch) => count + batch.beneficiaryCount,
+      0
+    ),
+    totalAmount: totalAmount.toString(),
+    batches: plannedBatches,
+  };
+
+  fs.writeFileSync(PLAN_FILE, JSON.stringify(plan, null, 2) + "\n");
+  logMessage(
+    `${config.dryRun ? "Dry run" : "Export"}: ${
+      plan.beneficiaryCount
+    } beneficiaries in ${plan.batchCount} batches, total amount ${formatAmount(
+      totalAmount
+    )}. Plan written to ${PLAN_FILE}`,
+    { event: "plan_written", amount: totalAmount }
+  );
+}
+
+// Schedules of a planned batch, with amounts back to BigInts
+function plannedSchedules(planned) {
+  return planned.beneficiaries.map((beneficiary) => ({
+    ...beneficiary,
+    amount: BigInt(beneficiary.amount),
+  }));
+}
+
+// Write the planned batches as addBeneficiaries transactions instead of
+// sending them. --signer offline writes unsigned transactions at consecutive
+// nonces of the signer, from its next one, to be signed elsewhere and sent
+// with the broadcast command. --signer safe writes a Safe Transaction Builder
+// batch with one call per batch, to be proposed and executed by the Safe.
+async function writeExport() {
+  const { chainId } = await withRetry(() => provider.getNetwork(), retryPolicy);
+  const calls = plannedBatches.map((planned) => ({
+    planned,
+    to: config.contract,
+    data: encodeAddBeneficiaries(
+      plannedSchedules(planned).map(toContractSchedule)
+    ),
+  }));
+
+  let exported;
+  if (exportMode === "safe") {
+    exported = safeTransactionBatch({
+      chainId,
+      safeAddress: signerAddress,
+      name: `Vesting iteration ${config.iteration}`,
+      description: `addBeneficiaries for ${data.length} rows of ${path.basename(
+        VESTING_SOURCE_FILE
+      )} in ${calls.length} batches, planned in ${path.basename(PLAN_FILE)}`,
+      transactions: calls,
+    });
+  } else {
+    let nonce = await withRetry(
+      () => provider.getTransactionCount(signerAddress, "pending"),
+      retryPolicy
+    );
+    const gasPrice = await getGasPrice();
+    const transactions = [];
+    for (const { planned, to, data: callData } of calls) {
+      const gas = await client.estimateAddBeneficiaries(
+        plannedSchedules(planned),
+        { from: signerAddress }
+      );
+      transactions.push({
+        batch: planned.batch,
+        beneficiaryCount: planned.beneficiaryCount,
+        totalAmount: planned.totalAmount,
+        transaction: unsignedTransaction({
+          chainId,
+          from: signerAddress,
+          to,
+          nonce: nonce++,
+          gasLimit: (gas * BigInt(100 + OFFLINE_GAS_MARGIN_PERCENT)) / 100n,
+          gasPrice,
+          data: callData,
+        }),
+        beneficiaries: planned.beneficiaries,
+        signedTransaction: null,
+      });
+    }
+    exported = {
+      createdAt: new Date().toISOString(),
+      iteration: config.iteration,
+      contract: config.contract,
+      from: signerAddress,
+      chainId: chainId.toString(),
+      timing,
+      transactions,
+    };
+  }
+
+  fs.writeFileSync(EXPORT_FILE, JSON.stringify(exported, null, 2) + "\n");
+  logMessage(
+    `Exported ${calls.length} ${
+      exportMode === "safe" ? "Safe calls" : "unsigned transactions"
+    } to ${EXPORT_FILE}`,
+    { event: "export_written", signer: exportMode, batches: calls.length }
+  );
+}
+
+// Wallets of an offline or Safe export
+function exportedWallets(file) {
+  const exported = JSON.parse(fs.readFileSync(file, "utf8"));
+  return exported.transactions.flatMap((entry) =>
+    entry.beneficiaries
+      ? entry.beneficiaries.map(({ wallet }) => wallet)
+      : decodeAddBeneficiaries(entry.data).map(({ beneficiary }) => beneficiary)
+  );
+}
+
+// Refuse to run while an export of the iteration holds wallets that are
+// neither sent or done in the ledger nor have a schedule on-chain. Batching
+// them again, from another signer or at other nonces, would create them a
+// second time once the export is broadcast. Exported wallets found on-chain
+// are recorded as skipped, since the pre-scan cache of the export run still
+// has them without a schedule.
+async function assertExportsSettled() {
+  for (const file of EXPORT_FILES.filter((file) => fs.existsSync(file))) {
+    const wallets = exportedWallets(file).filter((wallet) => {
+      const entry = ledger.get(wallet);
+      return !(
+        entry &&
+        (DONE_STATES.includes(entry.state) || entry.state === "sent")
+      );
+    });
+    const results = await mapWithConcurrency(
+      wallets,
+      config.concurrency,
+      (wallet) => client.checkSchedule(wallet)
+    );
+    const created = results.filter(({ status }) => status === "exists");
+    if (created.length > 0) {
+      ledger.update(
+        created.map(({ wallet }) => wallet),
+        "skipped",
+        { reason: "existing vesting schedule" }
+      );
+    }
+    const unsettled = results.filter(({ status }) => status !== "exists");
+    if (unsettled.length > 0) {
+      throw new FatalError(
+        `${file} holds ${unsettled.length} wallet(s) that have no schedule yet, such as ${unsettled[0].wallet}. Broadcast it with the broadcast command or execute it in the Safe first, or remove it to batch these wallets again`
+      );
+    }
+  }
+}
+
+// Current gas price of the contract's zone
+async function getGasPrice() {
+  const { gasPrice } = await withRetry(
+    () => provider.getFeeData(quais.getZoneForAddress(config.contract)),
+    retryPolicy
+  );
+  if (gasPrice === null || gasPrice === undefined) {
+    throw new Error("Could not fetch the current gas price");
+  }
+  return gasPrice;
+}
+
+// Raise a gas price by the configured percentage, rounding up
+function bumpGasPrice(gasPrice) {
+  const percent = BigInt(100 + config.feeBumpPercent);
+  return (gasPrice * percent + 99n) / 100n;
+}
+
+// Poll the given transactions, all sent at the same nonce, until one of them
+// is mined or the timeout passes. Returns the outcome that settles the nonce,
+// else "pending" if any is still known to the node, else "dropped".
+async function waitForOutcome(txHashes, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    const outcomes = [];
+    for (const hash of txHashes) {
+      outcomes.push({ hash, ...(await getTransactionOutcome(hash)) });
+    }
+
+    const mined = outcomes.find(
+      ({ status }) => status === "confirmed" || status === "reverted"
+    );
+    if (mined) {
+      return mined;
+    }
+    if (Date.now() >= deadline) {
+      return (
+        outcomes.find(({ status }) => status === "pending") || {
+          status: "dropped",
+        }
+      );
+    }
+
+    await new Promise((resolve) =>
+      setTimeout(resolve, Math.min(RECEIPT_POLL_MS, deadline - Date.now()))
+    );
+  }
+}
+
+// Describe a mined transaction by its receipt status
+function outcomeFromReceipt(receipt) {
+  return {
+    status: receipt.status === 1 ? "confirmed" : "reverted",
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+  };
+}
+
+// Look up what happened to a transaction: confirmed or reverted by its
+// receipt, pending if the node still knows it, dropped if it does not
+async function getTransactionOutcome(txHash) {
+  const receipt = await withRetry(
+    () => provider.getTransactionReceipt(txHash),
+    retryPolicy
+  );
+  if (receipt) {
+    return outcomeFromReceipt(receipt);
+  }
+
+  const tx = await withRetry(
+    () => provider.getTransaction(txHash),
+    retryPolicy
+  );
+  return { status: tx ? "pending" : "dropped", blockNumber: null };
+}
+
+// Settle the ledger from the receipts of every recorded transaction hash.
+// Wallets with a confirmed transaction are confirmed, wallets with a pending
+// one stay sent and are not batched again, and wallets whose transactions all
+// reverted or were dropped are marked failed, so they are re-queued if their
+// schedule is absent on-chain.
+async function reconcileLedger() {
+  const unsettled = ledger
+    .entries()
+    .filter(
+      (entry) =>
+        entry.txHashes.length > 0 &&
+        !(entry.state === "confirmed" && entry.blockNumber)
+    );
+  if (unsettled.length === 0) {
+    return;
+  }
+
+  const hashes = [...new Set(unsettled.flatMap((entry) => entry.txHashes))];
+  logMessage(
+    `Reconciling ${hashes.length} recorded transactions for ${unsettled.length} wallets...`,
+    { event: "reconcile" }
+  );
+
+  const outcomes = new Map();
+  for (const hash of hashes) {
+    const outcome = await getTransactionOutcome(hash);
+    outcomes.set(hash, outcome);
+    const walletCount = unsettled.filter((entry) =>
+      entry.txHashes.includes(hash)
+    ).length;
+    logMessage(
+      `Transaction ${hash} (${walletCount} wallets): ${outcome.status}${
+        outcome.blockNumber ? ` in block ${outcome.blockNumber}` : ""
+      }`,
+      {
+        event: "reconcile_transaction",
+        txHash: hash,
+        status: outcome.status,
+        blockNumber: outcome.blockNumber,
+      }
+    );
+  }
+
+  const confirmed = [];
+  const sent = [];
+  const failed = [];
+  for (const entry of unsettled) {
+    const results = entry.txHashes.map((hash) => ({
+      hash,
+      ...outcomes.get(hash),
+    }));
+    const mined = results.find((result) => result.status === "confirmed");
+    const pending = results.find((result) => result.status === "pending");
+
+    if (mined) {
+      confirmed.push({
+        wallet: entry.wallet,
+        txHash: mined.hash,
+        blockNumber: mined.blockNumber,
+      });
+    } else if (pending) {
+      sent.push({ wallet: entry.wallet, txHash: pending.hash });
+    } else {
+      failed.push({
+        wallet: entry.wallet,
+        reason: results
+          .map((result) => `${result.hash} ${result.status}`)
+          .join(", "),
+      });
+    }
+  }
+
+  ledger.update(confirmed, "confirmed");
+  ledger.update(sent, "sent");
+  ledger.update(failed, "failed");
+  logMessage(
+    `Reconciled: ${confirmed.length} confirmed, ${sent.length} still pending, ${failed.length} reverted or dropped`,
+    {
+      event: "reconcile",
+      confirmed: confirmed.length,
+      pending: sent.length,
+      failed: failed.length,
+    }
+  );
+}
+
+// Process a batch of beneficiaries and add them to the vesting contract
+async function processBeneficiaryBatch(beneficiaries, batch) {
+  if (beneficiaries.length === 0) {
+    return;
+  }
+
+  const scheduled = scheduleBatch(beneficiaries, batch);
+  const totalAmount = scheduled.reduce((sum, { amount }) => sum + amount, 0n);
+  const wallets = scheduled.map(({ wallet }) => wallet);
+  ledger.update(
+    scheduled.map((s) => ({
+      wallet: s.wallet,
+      amount: s.amount.toString(),
+      startBlock: s.startBlock,
+      cliffBlock: s.cliffBlock,
+      durationBlocks: s.durationBlocks,
+      endBlock: s.endBlock,
+    })),
+    "pending"
+  );
+
+  logMessage(
+    `----- Adding batch of ${beneficiaries.length} beneficiaries to vesting contract -----`,
+    { event: "batch_started", batch, amount: totalAmount }
+  );
+
+  // Append one records row per beneficiary in the batch
+  const recordBatch = (txHash, recordStatus) =>
+    appendRecords(
+      VESTING_RECORD_FILE,
+      scheduled,
+      txHash,
+      recordStatus,
+      timing.secondsPerBlock
+    );
+
+  let retryCount = 0;
+  let replacements = 0;
+  let status = "failed";
+  let lastError = null;
+  let nonce = nextNonce;
+  let gasPrice = null;
+  // Every transaction broadcast for this batch at the current nonce. Only one
+  // of them can mine, and it may be any of them.
+  let txHashes = [];
+  // Gas limit of each transaction broadcast, by hash
+  const gasLimits = new Map();
+  // Why the batch is split in two instead of being retried whole
+  let splitReason = null;
+
+  while (true) {
+    let sendError = null;
+    try {
+      if (gasPrice === null) {
+        gasPrice = await getGasPrice();
+      }
+      const tx = await client.addBeneficiaries(scheduled, {
+        nonce,
+        gasPrice,
+      });
+      if (!txHashes.includes(tx.hash)) {
+        txHashes.push(tx.hash);
+        runTotals.transactions++;
+      }
+      if (tx.gasLimit !== undefined) {
+        gasLimits.set(tx.hash, BigInt(tx.gasLimit));
+      }
+
+      // Track all beneficiaries in this batch as sent before waiting
+      ledger.update(wallets, "sent", { txHash: tx.hash, nonce });
+      logMessage(
+        `Sent batch transaction ${
+          tx.hash
+        } at nonce ${nonce} with gas price ${gasPrice}${
+          txHashes.length > 1 ? ` (replacement ${txHashes.length - 1})` : ""
+        }`,
+        { event: "batch_sent", batch, txHash: tx.hash, nonce, gasPrice }
+      );
+    } catch (error) {
+      sendError = error;
+      lastError = error;
+      retryCount++;
+      logMessage(
+        `Error adding batch to vesting contract at nonce ${nonce} (Attempt ${retryCount}/${config.maxRetries}): ${error.message}`,
+        { level: "warn", event: "batch_send_error", batch, nonce }
+      );
+    }
+
+    // After a send error only check what is already out there
+    const outcome =
+      txHashes.length > 0
+        ? await waitForOutcome(txHashes, sendError ? 0 : config.txTimeoutMs)
+        : { status: "dropped" };
+
+    if (outcome.gasUsed !== undefined) {
+      runTotals.gasUsed += BigInt(outcome.gasUsed);
+    }
+
+    if (outcome.status === "confirmed") {
+      nextNonce = nonce + 1;
+      logMessage(
+        `Batch at nonce ${nonce} mined as ${outcome.hash} in block ${
+          outcome.blockNumber
+        }${
+          txHashes.length > 1
+            ? ` (sent ${txHashes.length} times: ${txHashes.join(", ")})`
+            : ""
+        }`,
+        {
+          event: "batch_confirmed",
+          batch,
+          txHash: outcome.hash,
+          nonce,
+          blockNumber: outcome.blockNumber,
+          gasUsed: outcome.gasUsed,
+        }
+      );
+      ledger.update(wallets, "confirmed", {
+        txHash: outcome.hash,
+        blockNumber: outcome.blockNumber,
+      });
+      recordBatch(outcome.hash, "success");
+      logMessage(`Batch transaction recorded in ${VESTING_RECORD_FILE}`, {
+        level: "debug",
+      });
+      wallets.forEach((wallet) =>
+        runTotals.createdWallets.add(wallet.toLowerCase())
+      );
+      runTotals.amountSent += totalAmount;
+      status = "success";
+      break;
+    }
+
+    if (
+      outcome.status === "reverted" &&
+      scheduled.length > 1 &&
+      gasLimits.has(outcome.hash) &&
+      BigInt(outcome.gasUsed) >= gasLimits.get(outcome.hash)
+    ) {
+      // Out of gas: a smaller batch may fit where a retry would not
+      nonce = nextNonce = nonce + 1;
+      splitReason = `ran out of gas in ${outcome.hash}`;
+      break;
+    }
+
+    if (
+      sendError &&
+      txHashes.length === 0 &&
+      scheduled.length > 1 &&
+      isSizeError(sendError)
+    ) {
+      // Rejected as too large, so the nonce was not used
+      splitReason = `was rejected as too large: ${sendError.message}`;
+      break;
+    }
+
+    if (outcome.status === "reverted") {
+      // A reverted transaction still uses up its nonce
+      lastError = new Error(
+        `Transaction ${outcome.hash} reverted in block ${outcome.blockNumber}`
+      );
+      retryCount++;
+      logMessage(
+        `Error adding batch to vesting contract (Attempt ${retryCount}/${config.maxRetries}): ${lastError.message}`,
+        {
+          level: "warn",
+          event: "batch_reverted",
+          batch,
+          txHash: outcome.hash,
+          nonce,
+          blockNumber: outcome.blockNumber,
+        }
+      );
+      nonce = nextNonce = nonce + 1;
+      txHashes = [];
+      gasPrice = null;
+    } else if (outcome.status === "pending") {
+      if (
+        (replacements >= config.maxReplacements && !sendError) ||
+        retryCount >= config.maxRetries ||
+        shutdownSignal
+      ) {
+        // Still known to the node: sending again could create a second batch,
+        // and the next batch can not take its nonce
+        nextNonce = nonce + 1;
+        logMessage(
+          `Batch transaction at nonce ${nonce} is still pending ${
+            shutdownSignal
+              ? `at ${shutdownSignal}`
+              : retryCount >= config.maxRetries
+              ? `after ${retryCount} failed sends: ${lastError.message}`
+              : `after ${replacements} replacements`
+          }. Not re-sending; it will be reconciled on the next run`,
+          {
+            level: "warn",
+            event: "batch_pending",
+            batch,
+            txHash: txHashes[txHashes.length - 1],
+            nonce,
+          }
+        );
+        recordBatch(txHashes[txHashes.length - 1], "pending");
+        status = "sent";
+        break;
+      }
+
+      // Stuck, or the replacement was rejected: bump the fee at the same nonce
+      if (!sendError) {
+        replacements++;
+        logMessage(
+          `Batch transaction at nonce ${nonce} not mined after ${config.txTimeoutMs} ms. Replacing it with a higher gas price`,
+          { level: "warn", event: "batch_replaced", batch, nonce }
+        );
+      }
+      gasPrice = bumpGasPrice(gasPrice);
+    } else if (sendError && NONCE_USED_PATTERN.test(sendError.message)) {
+      // Another transaction from the signer used this nonce
+      nonce = nextNonce = await withRetry(
+        () => provider.getTransactionCount(signerAddress, "latest"),
+        retryPolicy
+      );
+      logMessage(`Nonce already used, continuing at nonce ${nonce}`, {
+        level: "warn",
+        event: "nonce_resynced",
+        batch,
+        nonce,
+      });
+      txHashes = [];
+    } else if (!sendError) {
+      // Dropped: the nonce is free again, so the batch is broadcast again
+      lastError = new Error(`Transaction(s) ${txHashes.join(", ")} dropped`);
+      retryCount++;
+      logMessage(
+        `Error adding batch to vesting contract (Attempt ${retryCount}/${config.maxRetries}): ${lastError.message}`,
+        { level: "warn", event: "batch_dropped", batch, nonce }
+      );
+      txHashes = [];
+    }
+
+    if (retryCount >= config.maxRetries || shutdownSignal) {
+      // Record failed transaction for each beneficiary. Nothing of the batch
+      // is pending, so the next run sends it again if it is still absent.
+      const reason = shutdownSignal
+        ? `stopped by ${shutdownSignal}${
+            lastError ? ` after: ${lastError.message}` : ""
+          }`
+        : lastError.message;
+      recordBatch(null, "failed");
+      ledger.update(wallets, "failed", { reason });
+      logMessage(
+        `Failed batch transaction recorded in ${VESTING_RECORD_FILE}`,
+        {
+          level: "error",
+          event: "batch_failed",
+          batch,
+          reason,
+        }
+      );
+      break;
+    }
+
+    // Wait for the retry delay before retrying
+    await new Promise((resolve) => setTimeout(resolve, config.retryDelayMs));
+  }
+
+  if (splitReason) {
+    return splitBatch(beneficiaries, batch, splitReason);
+  }
+
+  // Log final status
+  logMessage(`Batch transaction status: ${status}`, {
+    event: "batch_status",
+    batch,
+    status,
+  });
+  return status === "success";
+}
+
+// Send the two halves of a batch that is too large as batches of their own,
+// numbered after it: batch 3 becomes 3.1 and 3.2. Halves that are still too
+// large are split again. Returns whether both halves were created.
+async function splitBatch(beneficiaries, batch, reason) {
+  const half = Math.ceil(beneficiaries.length / 2);
+  logMessage(
+    `Batch ${batch} of ${
+      beneficiaries.length
+    } beneficiaries ${reason}. Splitting it into batches of ${half} and ${
+      beneficiaries.length - half
+    }`,
+    { level: "warn", event: "batch_split", batch, reason }
+  );
+
+  const first = await processBeneficiaryBatch(
+    beneficiaries.slice(0, half),
+    `${batch}.1`
+  );
+  // The second half stays pending in the ledger for the next run
+  if (stoppedBefore(`batch ${batch}.2`)) {
+    return false;
+  }
+  const second = await processBeneficiaryBatch(
+    beneficiaries.slice(half),
+    `${batch}.2`
+  );
+  return first && second;
+}
+
+// Log that a shutdown signal stops the run before `step`, returning whether
+// it does
+function stoppedBefore(step) {
+  if (shutdownSignal) {
+    logMessage(`Stopped by ${shutdownSignal} before ${step}`, {
+      level: "warn",
+      event: "shutdown",
+    });
+  }
+  return Boolean(shutdownSignal);
+}
+
+async function main() {
+  plannedBatches.length = 0;
+  runTotals.quarantinedWallets.clear();
+  try {
+    // Create vesting_records.csv with headers if it doesn't exist
+    if (!config.dryRun && !fs.existsSync(VESTING_RECORD_FILE)) {
+      fs.writeFileSync(VESTING_RECORD_FILE, `${RECORD_HEADER}\n`);
+    } else if (!config.dryRun) {
+      upgradeRecordHeader();
+    }
+
+    // Resume from the ledger, seeding it from the records file on first use
+    ledger = openLedger(VESTING_STATE_FILE, {
+      recordFile: VESTING_RECORD_FILE,
+      readOnly: config.dryRun,
+    });
+    if (ledger.seeded) {
+      logMessage(
+        `Seeded state ledger ${VESTING_STATE_FILE} from ${VESTING_RECORD_FILE}`
+      );
+    }
+
+    await client.assertDeployment(config.chainId);
+    logMessage(
+      `Contract ${config.contract} answers on chain ${config.chainId}`,
+      { event: "deployment_checked", chainId: config.chainId }
+    );
+
+    await reconcileLedger();
+    await assertExportsSettled();
+    await pinTiming();
+
+    const stateCounts = LEDGER_STATES.map(
+      (state) =>
+        `${state}: ${
+          ledger.entries().filter((entry) => entry.state === state).length
+        }`
+    );
+    logMessage(
+      `State ledger ${VESTING_STATE_FILE} - ${stateCounts.join(", ")}`
+    );
+    logMessage(`Processing ${data.length} rows from ${VESTING_SOURCE_FILE}`);
+
+    // Wallets not yet done or in flight according to the ledger
+    const unsettled = data
+      .map(({ wallet }) => wallet)
+      .filter((wallet) => {
+        const entry = ledger.get(wallet);
+        return !(
+          entry &&
+          (DONE_STATES.includes(entry.state) || entry.state === "sent")
+        );
+      });
+    const { statuses, errors } = await scanExistingSchedules(unsettled);
+
+    const queued = [];
+    const quarantined = [];
+    const skipped = [];
+    for (const beneficiary of data) {
+      if (shutdownSignal) {
+        break;
+      }
+      const { wallet, amount, startOffsetDays, cliffDays, durationDays } =
+        beneficiary;
+
+      // Check if the ledger already has this wallet confirmed or skipped
+      const entry = ledger.get(wallet);
+      if (entry && DONE_STATES.includes(entry.state)) {
+        logMessage(
+          `Wallet ${wallet} is ${entry.state} in the state ledger${
+            entry.txHash ? ` (${entry.txHash})` : ""
+          }. Skipping.`,
+          {
+            level: "debug",
+            event: "wallet_skipped",
+            wallet,
+            state: entry.state,
+            txHash: entry.txHash,
+          }
+        );
+        continue;
+      }
+      if (entry && entry.state === "sent") {
+        logMessage(
+          `Wallet ${wallet} has a pending transaction (${entry.txHash}) that is not mined yet. Not re-sending.`,
+          {
+            level: "debug",
+            event: "wallet_pending",
+            wallet,
+            txHash: entry.txHash,
+          }
+        );
+        continue;
+      }
+
+      // Check if wallet already has a vesting schedule in the contract
+      const status = statuses.get(wallet.toLowerCase());
+      if (status === "unknown") {
+        // It may have one, so batching it could create a second schedule
+        // or revert the whole batch
+        logMessage(
+          `Wallet ${wallet} could not be checked for an existing schedule. Quarantined, not batched.`,
+          { level: "warn", event: "wallet_quarantined", wallet }
+        );
+        quarantined.push({
+          wallet,
+          amount,
+          error: errors.get(wallet.toLowerCase()),
+          checkedAt: new Date().toISOString(),
+        });
+        runTotals.quarantinedWallets.add(wallet.toLowerCase());
+        continue;
+      }
+      if (status === "exists") {
+        logMessage(
+          `Wallet ${wallet} already has a vesting schedule in the contract. Skipping.`,
+          { level: "debug", event: "wallet_skipped", wallet, state: "skipped" }
+        );
+        skipped.push(wallet);
+        continue;
+      }
+
+      const vestingParams = { startOffsetDays, cliffDays, durationDays };
+      try {
+        // Mixed days and fixed blocks are only known to be in order once computed
+        if (timing.startBlock !== undefined || timing.calibrated) {
+          computeSchedules([{ wallet, ...vestingParams }]);
+        }
+      } catch (error) {
+        logMessage(
+          `##### Error validating beneficiary ${wallet}: ${error.message}`,
+          { level: "error", event: "wallet_invalid", wallet }
+        );
+        runTotals.invalidWallets.add(wallet.toLowerCase());
+        continue;
+      }
+
+      queued.push({ wallet, amount, ...vestingParams });
+      logMessage(`Queued ${wallet} (${queued.length} queued)`, {
+        level: "debug",
+        event: "wallet_queued",
+        wallet,
+      });
+    }
+
+    // Saved at once, a save per wallet rewrites the whole ledger each time
+    if (skipped.length > 0) {
+      ledger.update(skipped, "skipped", {
+        reason: "existing vesting schedule",
+      });
+    }
+    if (!shutdownSignal) {
+      writeQuarantine(quarantined);
+    }
+
+    if (stoppedBefore("sizing the batches")) {
+      return;
+    }
+    const fitted = await sizeBatches(queued);
+    const batches = fitted.map(({ items }) => items);
+
+    if (stoppedBefore("sending any batch")) {
+      return;
+    }
+
+    if (config.dryRun) {
+      for (const batch of batches) {
+        await planBeneficiaryBatch(batch);
+      }
+    } else if (exportMode) {
+      await preflightCheck(fitted);
+      for (const batch of batches) {
+        await planBeneficiaryBatch(batch);
+      }
+      await writeExport();
+    } else {
+      await preflightCheck(fitted);
+
+      // Pending transactions from earlier runs keep their nonces
+      nextNonce = await withRetry(
+        () => provider.getTransactionCount(signerAddress, "pending"),
+        retryPolicy
+      );
+      logMessage(`Sending batches from nonce ${nextNonce}`, {
+        event: "sending",
+        nonce: nextNonce,
+        batches: batches.length,
+      });
+      for (const [index, batch] of batches.entries()) {
+        if (stoppedBefore(`batch ${index + 1} of ${batches.length}`)) {
+          return;
+        }
+        batchInFlight = true;
+        try {
+          await processBeneficiaryBatch(batch, index + 1);
+        } finally {
+          batchInFlight = false;
+        }
+      }
+    }
+
+    logMessage("Vesting beneficiary processing completed successfully");
+  } catch (error) {
+    logMessage(`Error in main execution: ${error.message}`, {
+      level: "error",
+      event: "run_error",
+    });
+    throw error;
+  }
+}
+
+// Add the columns of newer versions to the header of an existing records file.
+// Rows written before keep their fields and leave the new columns empty.
+function upgradeRecordHeader() {
+  const contents = fs.readFileSync(VESTING_RECORD_FILE, "utf8");
+  const newline = contents.indexOf("\n");
+  const header = newline === -1 ? contents : contents.slice(0, newline);
+  if (
+    header.trim() !== RECORD_HEADER &&
+    RECORD_HEADER.startsWith(header.trim())
+  ) {
+    writeFileAtomic(
+      VESTING_RECORD_FILE,
+      RECORD_HEADER + (newline === -1 ? "\n" : contents.slice(newline))
+    );
+    logMessage(`Added new columns to the header of ${VESTING_RECORD_FILE}`);
+  }
+}
+
+// Read and validate the iteration's vesting amounts CSV, throwing with a
+// per-row report if any row is invalid so nothing is sent for a partially
+// valid file
+function loadVestingData() {
+  const csv = readVestingCsv(VESTING_SOURCE_FILE);
+  const { beneficiaries, errors } = validateVestingRows(csv, {
+    amountUnit: config.amountUnit,
+    defaults: vestingDefaults(),
+    contract: config.contract,
+    mergeDuplicates: config.mergeDuplicates,
+  });
+
+  for (const beneficiary of beneficiaries) {
+    if (beneficiary.merged.length > 0) {
+      logMessage(
+        `Merged line(s) ${beneficiary.merged.join(", ")} of ${
+          beneficiary.wallet
+        } into line ${beneficiary.line}: ${formatAmount(beneficiary.amount)}`,
+        { event: "rows_merged", wallet: beneficiary.wallet }
+      );
+    }
+  }
+  if (errors.length > 0) {
+    runTotals.invalidRows = errors.length;
+    logMessage(
+      `Invalid rows in ${VESTING_SOURCE_FILE} (amount unit: ${config.amountUnit}):`,
+      { level: "error", event: "input_invalid", errors: errors.length }
+    );
+    for (const error of errors) {
+      logMessage(`  ${formatRowError(error)}`, {
+        level: "error",
+        event: "row_invalid",
+        line: error.line,
+        wallet: error.wallet,
+      });
+    }
+    throw new Error(
+      `${errors.length} error(s) in ${VESTING_SOURCE_FILE}, nothing was sent`
+    );
+  }
+  return beneficiaries;
+}
+
+// Warn about wallets of the input that other iterations already allocated.
+// Their schedule exists, so they are skipped and the new amount is not sent
+// unless it is merged by hand.
+function warnPriorAllocations() {
+  const history = loadHistory(config.recordsDir, config.profile);
+  let count = 0;
+
+  for (const { wallet } of data) {
+    const allocations = priorAllocations(history, wallet, config.iteration);
+    if (allocations.length === 0) {
+      continue;
+    }
+    count++;
+    logMessage(
+      `##### Warning: ${wallet} is already allocated in ${allocations
+        .map(
+          ({ iteration, amount, status }) =>
+            `iteration ${iteration} (${formatAmount(amount)}, ${status})`
+        )
+        .join(", ")}`,
+      { level: "warn", event: "prior_allocation", wallet }
+    );
+  }
+
+  if (count > 0) {
+    logMessage(
+      `##### Warning: ${count} wallets of ${VESTING_SOURCE_FILE} were allocated by other iterations and will be skipped if their schedule exists. Run node vesting.js history --iteration ${config.iteration} for their full history.`,
+      { level: "warn", event: "prior_allocation", wallets: count }
+    );
+  }
+}
+
+// Count the wallets of the input by what happened to them, from the ledger
+// and the batches confirmed by this run, and log the totals of the run
+function logRunSummary() {
+  const summary = {
+    created: runTotals.createdWallets.size,
+    skipped: 0,
+    pending: 0,
+    failed: 0,
+    invalid: runTotals.invalidRows + runTotals.invalidWallets.size,
+    quarantined: 0,
+    remaining: 0,
+    amountSent: runTotals.amountSent,
+    gasUsed: runTotals.gasUsed,
+    transactions: runTotals.transactions,
+  };
+
+  const planned = new Set(
+    plannedBatches.flatMap((batch) =>
+      batch.beneficiaries.map(({ wallet }) => wallet.toLowerCase())
+    )
+  );
+  for (const { wallet } of data) {
+    const key = wallet.toLowerCase();
+    const entry = ledger && ledger.get(wallet);
+    if (
+      runTotals.createdWallets.has(key) ||
+      runTotals.invalidWallets.has(key) ||
+      planned.has(key)
+    ) {
+      continue;
+    }
+    if (entry && DONE_STATES.includes(entry.state)) {
+      summary.skipped++;
+    } else if (entry && entry.state === "sent") {
+      summary.pending++;
+    } else if (runTotals.quarantinedWallets.has(key)) {
+      summary.quarantined++;
+    } else if (entry && entry.state === "failed") {
+      summary.failed++;
+    } else {
+      summary.remaining++;
+    }
+  }
+  if (config.dryRun || exportMode) {
+    summary.planned = planned.size;
+  }
+
+  logMessage(
+    `Run summary: ${summary.created} created, ${summary.skipped} skipped, ${
+      summary.pending
+    } pending, ${summary.failed} failed, ${summary.invalid} invalid, ${
+      summary.quarantined
+    } quarantined, ${summary.remaining} not processed${
+      summary.planned !== undefined
+        ? `, ${summary.planned} ${exportMode ? "exported" : "planned"}`
+        : ""
+    }. Sent ${formatAmount(summary.amountSent)} in ${
+      summary.transactions
+    } transactions using ${summary.gasUsed} gas`,
+    { event: "run_summary", ...summary }
+  );
+  return summary;
+}
+
+// Exit code of a finished run: the signal that stopped it, else whether
+// every wallet of the input was created or skipped
+function runExitCode(summary) {
+  if (shutdownSignal) {
+    return signalExitCode(shutdownSignal);
+  }
+  const unfinished =
+    summary.pending +
+    summary.failed +
+    summary.invalid +
+    summary.quarantined +
+    summary.remaining;
+  return unfinished > 0 ? EXIT_CODES.incomplete : EXIT_CODES.success;
+}
+
+// Stop after the batch in flight on the first SIGINT or SIGTERM, and at once
+// on the second or when no batch is in flight, since nothing else needs
+// finishing: the ledger is written atomically after every change. An error
+// that escapes the run leaves the process in an unknown state, so it is
+// logged and the process exits instead of running main again. Returns a
+// function that removes the handlers, since run() can be called more than
+// once in a process by tests or other code embedding it.
+function installProcessHandlers(lock) {
+  const exit = (code) => {
+    if (lock) {
+      lock.release();
+    }
+    process.exit(code);
+  };
+
+  const onSignal = (signal) => {
+    if (shutdownSignal || !batchInFlight) {
+      logMessage(
+        `Received ${signal}${
+          shutdownSignal ? " again" : ""
+        }. Exiting now; the state ledger holds every transaction sent`,
+        { level: "warn", event: "shutdown", signal }
+      );
+      shutdownSignal = signal;
+      logRunSummary();
+      exit(signalExitCode(signal));
+      return;
+    }
+    shutdownSignal = signal;
+    logMessage(
+      `Received ${signal}. Finishing the batch in flight, then exiting. Send ${signal} again to exit now`,
+      { level: "warn", event: "shutdown", signal }
+    );
+  };
+
+  const onCrash = (description, event) => (error) => {
+    console.error(`${description}:`, error);
+    logMessage(`${description}: ${error.message}`, { level: "error", event });
+    exit(EXIT_CODES.error);
+  };
+
+  const handlers = {
+    SIGINT: onSignal,
+    SIGTERM: onSignal,
+    unhandledRejection: onCrash("Unhandled rejection", "unhandled_rejection"),
+    uncaughtException: onCrash("Uncaught exception", "uncaught_exception"),
+  };
+  for (const [name, handler] of Object.entries(handlers)) {
+    process.on(name, handler);
+  }
+  return () => {
+    for (const [name, handler] of Object.entries(handlers)) {
+      process.off(name, handler);
+    }
+  };
+}
+
+// Create vesting schedules for every beneficiary of the configured iteration.
+// connections may hold a provider and a vesting contract to use instead of
+// connecting to the RPC URL, such as the in-memory stand-ins of the tests.
+// Returns the run summary with the exit code of the run.
+async function run(options, sources, connections = {}) {
+  if (running) {
+    throw new Error("The create command is already running in this process");
+  }
+  config = options;
+  plannedBatches.length = 0;
+  requireOptions(config, ["iteration", "rpcUrl", "contract", "amountUnit"]);
+  if (config.startDate && config.startBlock !== undefined) {
+    throw new Error("Use either --start-date or --start-block, not both");
+  }
+  retryPolicy = {
+    maxRetries: config.maxRetries,
+    retryDelay: config.retryDelayMs,
+    log: (message) =>
+      logMessage(message, { level: "warn", event: "rpc_retry" }),
+  };
+
+  // Ensure directories exist
+  [config.dataDir, config.recordsDir, config.logsDir].forEach((dir) => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+      console.log(`Created directory: ${dir}`);
+    }
+  });
+
+  const files = iterationFiles(config);
+  VESTING_SOURCE_FILE = files.source;
+  VESTING_RECORD_FILE = files.records;
+  VESTING_STATE_FILE = files.state;
+  VESTING_LOG_FILE = files.log;
+  PLAN_FILE = config.planFile || files.plan;
+  SCAN_FILE = files.scan;
+  QUARANTINE_FILE = files.quarantine;
+  LOCK_FILE = files.lock;
+  exportMode =
+    !config.dryRun && EXPORT_SIGNERS.includes(config.signer)
+      ? config.signer
+      : null;
+  EXPORT_FILE =
+    config.exportFile ||
+    (exportMode === "safe" ? files.safe : exportMode && files.unsigned);
+  EXPORT_FILES = [
+    ...new Set([EXPORT_FILE, files.unsigned, files.safe].filter(Boolean)),
+  ];
+  if (exportMode) {
+    requireOptions(config, ["from"]);
+  }
+  logMessage = createLogger(VESTING_LOG_FILE, {
+    consoleLevel: config.logLevel,
+  });
+  data = [];
+  ledger = null;
+  shutdownSignal = null;
+  runTotals = {
+    createdWallets: new Set(),
+    invalidWallets: new Set(),
+    invalidRows: 0,
+    quarantinedWallets: new Set(),
+    amountSent: 0n,
+    gasUsed: 0n,
+    transactions: 0,
+  };
+
+  logMessage(`Run ${logMessage.runId}`, {
+    event: "run_started",
+    iteration: config.iteration,
+  });
+  logMessage("Effective configuration:");
+  for (const line of formatConfig(config, sources)) {
+    logMessage(`  ${line}`);
+  }
+
+  running = true;
+  let summary;
+  try {
+    await createSchedules(connections);
+  } finally {
+    running = false;
+    summary = logRunSummary();
+  }
+  return { ...summary, exitCode: runExitCode(summary) };
+}
+
+// Connect, then send or plan the batches of the loaded input
+async function createSchedules(connections) {
+  data = loadVestingData();
+  warnPriorAllocations();
+
+  provider =
+    connections.provider ||
+    createProvider(config.rpcUrl, {
+      batchMaxCount: config.rpcBatchSize,
+      quorum: config.rpcQuorum,
+      log: logMessage,
+    });
+  // A dry run only reads from the chain, and an export only reads and
+  // writes files, so neither needs a signer
+  const signer =
+    config.dryRun || exportMode ? null : await loadSigner(config, provider);
+  client = new VestingClient({
+    contract: config.contract,
+    provider,
+    signer,
+    vestingContract: connections.vestingContract,
+    retryPolicy,
+    batchSize: config.batchSize,
+    rateLimiter: createRateLimiter(config.rpcRateLimit),
+  });
+  if (config.dryRun) {
+    // Gas is estimated for --from, when given
+    signerAddress = config.from;
+    logMessage("Dry run: no transactions will be sent");
+  } else if (exportMode) {
+    signerAddress = config.from;
+    logMessage(
+      `Exporting the batches for ${signerAddress} to ${EXPORT_FILE}: no transactions will be sent`,
+      { event: "signer", signer: exportMode, wallet: signerAddress }
+    );
+  } else {
+    signerAddress = signer.address;
+    logMessage(`Sending from wallet ${signerAddress}`, {
+      event: "signer",
+      wallet: signerAddress,
+    });
+  }
+
+  // A dry run writes nothing but its plan, so it can run next to a real run
+  const lock = config.dryRun
+    ? null
+    : acquireLock(LOCK_FILE, {
+        runId: logMessage.runId,
+        iteration: config.iteration,
+      });
+  if (lock && lock.stale) {
+    logMessage(
+      `Took over ${LOCK_FILE} from process ${lock.stale.pid}, which is no longer running`,
+      { level: "warn", event: "lock_taken_over", pid: lock.stale.pid }
+    );
+  }
+  const removeProcessHandlers = installProcessHandlers(lock);
+
+  try {
+    await runWithRestarts(main, {
+      // A partial plan is misleading, so a failed dry run is never restarted
+      maxRestarts: config.dryRun ? 0 : config.maxRestarts,
+      delayMs: config.restartDelayMs,
+      shouldStop: () => Boolean(shutdownSignal),
+      log: (message, fields) =>
+        logMessage(message, { level: "warn", event: "restart", ...fields }),
+    });
+    if (shutdownSignal) {
+      logMessage(`Vesting process stopped by ${shutdownSignal}`, {
+        level: "warn",
+        event: "run_stopped",
+      });
+      return;
+    }
+    if (config.dryRun || exportMode) {
+      writePlan();
+    }
+    logMessage("Vesting process complete", { event: "run_completed" });
+  } catch (error) {
+    logMessage(`Error during vesting process: ${error.message}`, {
+      level: "error",
+      event: "run_failed",
+    });
+    throw error;
+  } finally {
+    removeProcessHandlers();
+    if (lock) {
+      lock.release();
+    }
+  }
+}
+
+module.exports = {
+  description:
+    "Create vesting schedules in batches from data/vesting_amounts{ITERATION}.csv",
+  options: [
+    "config",
+    "profile",
+    "rpcUrl",
+    "rpcQuorum",
+    "chainId",
+    "contract",
+    "iteration",
+    "amountUnit",
+    "batchSize",
+    "gasTargetPercent",
+    "concurrency",
+    "rpcRateLimit",
+    "rpcBatchSize",
+    "scanCacheMinutes",
+    "startOffsetDays",
+    "durationDays",
+    "cliffDays",
+    "blocksPerDay",
+    "startBlock",
+    "startDate",
+    "cliffDate",
+    "endDate",
+    "blockTimeWindow",
+    "maxRetries",
+    "retryDelayMs",
+    "txTimeoutMs",
+    "feeBumpPercent",
+    "maxReplacements",
+    "fundingSource",
+    "maxRestarts",
+    "restartDelayMs",
+    "signer",
+    "keystore",
+    "from",
+    "exportFile",
+    "mergeDuplicates",
+    "dryRun",
+    "planFile",
+    "logLevel",
+    "dataDir",
+    "recordsDir",
+    "logsDir",
+  ],
+  run,
+};
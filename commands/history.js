@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+const { formatConfig } = require("../lib/config");
+const { formatAmount } = require("../lib/amount");
+const { writeFileAtomic } = require("../lib/ledger");
+const { readVestingCsv } = require("../lib/input");
+const {
+  loadHistory,
+  priorAllocations,
+  findMultiIterationWallets,
+  allocatedTotal,
+} = require("../lib/history");
+
+// Set by run() from the resolved configuration
+let config;
+
+// Function to log messages
+function logMessage(message) {
+  console.log(message);
+}
+
+// Describe a wallet's allocations in one line
+function describeAllocations(allocations) {
+  return allocations
+    .map(
+      ({ iteration, amount, status, txHash }) =>
+        `iteration ${iteration}: ${formatAmount(amount)} ${status}${
+          txHash ? ` (${txHash})` : ""
+        }`
+    )
+    .join(", ");
+}
+
+// Wallets of an input CSV already allocated by another iteration
+function findInputOverlaps(history, input, iteration) {
+  const overlaps = [];
+  const seen = new Set();
+
+  for (const { line, row } of readVestingCsv(input).rows) {
+    const wallet = row.wallet || "";
+    if (wallet === "" || seen.has(wallet.toLowerCase())) {
+      continue;
+    }
+    seen.add(wallet.toLowerCase());
+
+    const allocations = priorAllocations(history, wallet, iteration);
+    if (allocations.length > 0) {
+      overlaps.push({ line, wallet, allocations });
+    }
+  }
+  return overlaps;
+}
+
+// Format an optional block number as a records column
+function blockColumn(block) {
+  return block === null ? "" : block;
+}
+
+// Write the consolidated history as CSV, one row per wallet and iteration,
+// and as JSON, one entry per wallet
+function writeHistory(reportFile, report, wallets) {
+  fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+
+  const rows = [];
+  for (const { allocations } of wallets) {
+    for (const allocation of allocations) {
+      rows.push({
+        wallet: allocation.wallet,
+        iteration: allocation.iteration,
+        amount: allocation.amount.toString(),
+        status: allocation.status,
+        tx_hash: allocation.txHash || "",
+        start_block: blockColumn(allocation.startBlock),
+        cliff_block: blockColumn(allocation.cliffBlock),
+        duration_blocks: blockColumn(allocation.durationBlocks),
+        end_block: blockColumn(allocation.endBlock),
+      });
+    }
+  }
+  writeFileAtomic(
+    `${reportFile}.csv`,
+    Papa.unparse(rows, {
+      columns: [
+        "wallet",
+        "iteration",
+        "amount",
+        "status",
+        "tx_hash",
+        "start_block",
+        "cliff_block",
+        "duration_blocks",
+        "end_block",
+      ],
+      newline: "\n",
+    }) + "\n"
+  );
+  writeFileAtomic(
+    `${reportFile}.json`,
+    JSON.stringify(
+      report,
+      (key, value) => (typeof value === "bigint" ? value.toString() : value),
+      2
+    ) + "\n"
+  );
+  logMessage(`History written to ${reportFile}.csv and ${reportFile}.json`);
+}
+
+// Index the records of every iteration into a per-wallet allocation history
+async function run(options, sources) {
+  config = options;
+  const reportFile =
+    config.reportFile || path.join(config.recordsDir, "vesting_history");
+  const input =
+    config.input ||
+    (config.iteration !== undefined
+      ? path.join(config.dataDir, `vesting_amounts${config.iteration}.csv`)
+      : null);
+
+  logMessage("Effective configuration:");
+  for (const line of formatConfig(config, sources)) {
+    logMessage(`  ${line}`);
+  }
+
+  const history = loadHistory(config.recordsDir, config.profile);
+  logMessage(
+    `Loaded records of ${history.iterations.length} iterations${
+      history.iterations.length > 0 ? ` (${history.iterations.join(", ")})` : ""
+    } from ${config.recordsDir}: ${history.wallets.size} wallets`
+  );
+
+  const multiIteration = findMultiIterationWallets(history);
+  for (const { wallet, allocations } of multiIteration) {
+    logMessage(
+      `##### ${wallet} is allocated in more than one iteration: ${describeAllocations(
+        allocations
+      )}`
+    );
+  }
+  logMessage(
+    `${multiIteration.length} wallets are allocated in more than one iteration`
+  );
+
+  // The iteration's own records are its earlier runs, not another allocation
+  let overlaps = [];
+  if (input) {
+    overlaps = findInputOverlaps(history, input, config.iteration);
+    for (const { line, wallet, allocations } of overlaps) {
+      logMessage(
+        `##### line ${line} (${wallet}) of ${input} is already allocated in ${describeAllocations(
+          allocations
+        )}`
+      );
+    }
+    logMessage(
+      `${overlaps.length} wallets of ${input} are already allocated in other iterations`
+    );
+  }
+
+  const wallets = [...history.wallets.values()];
+  writeHistory(
+    reportFile,
+    {
+      recordsDir: config.recordsDir,
+      generatedAt: new Date().toISOString(),
+      iterations: history.iterations,
+      multiIteration: multiIteration.map(({ wallet }) => wallet),
+      input,
+      inputOverlaps: overlaps.map(({ line, wallet, allocations }) => ({
+        line,
+        wallet,
+        iterations: allocations.map(({ iteration }) => iteration),
+        allocatedAmount: allocatedTotal(allocations),
+      })),
+      wallets: wallets.map(({ wallet, allocations }) => ({
+        wallet,
+        iterations: [...new Set(allocations.map(({ iteration }) => iteration))],
+        allocatedAmount: allocatedTotal(allocations),
+        allocations: allocations.map(({ file, wallet, ...allocation }) => ({
+          ...allocation,
+          recordsFile: path.basename(file),
+        })),
+      })),
+    },
+    wallets
+  );
+}
+
+module.exports = {
+  description:
+    "Index the records of every iteration and flag wallets allocated more than once",
+  options: [
+    "config",
+    "profile",
+    "iteration",
+    "input",
+    "reportFile",
+    "dataDir",
+    "recordsDir",
+  ],
+  run,
+};
@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+const { formatConfig, iterationFiles } = require("../lib/config");
+const { writeFileAtomic } = require("../lib/ledger");
+const { EXPORT_SIGNERS, loadSigner, signExport } = require("../lib/signer");
+
+// Function to log messages
+function logMessage(message) {
+  console.log(message);
+}
+
+// Sign the transactions exported by create --signer offline with the
+// keystore or PRIVATE_KEY. Nothing is read from or sent to a node, so it can
+// run on a machine without network access.
+async function run(config, sources) {
+  if (!config.exportFile && config.iteration === undefined) {
+    throw new Error("Nothing to sign, pass --export-file or --iteration");
+  }
+  if (EXPORT_SIGNERS.includes(config.signer)) {
+    throw new Error("The sign command needs --signer key or keystore");
+  }
+
+  const exportFile = config.exportFile || iterationFiles(config).unsigned;
+  const output =
+    config.output ||
+    path.join(
+      path.dirname(exportFile),
+      `${path.basename(exportFile, ".json")}.signed.json`
+    );
+
+  logMessage("Effective configuration:");
+  for (const line of formatConfig(config, sources)) {
+    logMessage(`  ${line}`);
+  }
+
+  const exported = JSON.parse(fs.readFileSync(exportFile, "utf8"));
+  const signer = await loadSigner(config, null);
+  const signed = await signExport(exported, signer);
+
+  for (const { batch, beneficiaryCount, transaction } of signed.transactions) {
+    logMessage(
+      `Signed batch ${batch} of ${beneficiaryCount} beneficiaries at nonce ${transaction.nonce}`
+    );
+  }
+  writeFileAtomic(output, JSON.stringify(signed, null, 2) + "\n");
+  logMessage(
+    `${signed.transactions.length} signed transactions written to ${output}. Send them with node vesting.js broadcast --iteration ${exported.iteration} --signed ${output}`
+  );
+}
+
+module.exports = {
+  description:
+    "Sign the transactions exported by create --signer offline, without a node",
+  options: [
+    "config",
+    "profile",
+    "iteration",
+    "exportFile",
+    "signer",
+    "keystore",
+    "output",
+    "dataDir",
+    "recordsDir",
+    "logsDir",
+  ],
+  run,
+};
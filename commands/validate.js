@@ -0,0 +1,151 @@
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+const quais = require("quais");
+const { formatConfig, requireOptions } = require("../lib/config");
+const { formatAmount } = require("../lib/amount");
+const { writeFileAtomic } = require("../lib/ledger");
+const {
+  readVestingCsv,
+  validateVestingRows,
+  formatRowError,
+} = require("../lib/input");
+
+// Set by run() from the resolved configuration
+let config;
+
+// Function to log messages
+function logMessage(message) {
+  console.log(message);
+}
+
+// Format a wei amount back in the unit of the input CSV
+function formatTotal(amount) {
+  return config.amountUnit === "wei"
+    ? amount.toString()
+    : quais.formatQuai(amount);
+}
+
+// Write the normalized CSV: checksummed wallets, trimmed values and merged
+// duplicates, in the columns and order of the input
+function writeNormalized(columns, beneficiaries) {
+  const rows = beneficiaries.map(({ row, wallet, amount }) => ({
+    ...row,
+    wallet,
+    total: formatTotal(amount),
+  }));
+  writeFileAtomic(
+    config.output,
+    Papa.unparse(rows, { columns, newline: "\n" }) + "\n"
+  );
+  logMessage(`Normalized CSV written to ${config.output}`);
+}
+
+// Validate an input CSV without touching the chain
+async function run(options, sources) {
+  config = options;
+  requireOptions(config, ["amountUnit", "contract"]);
+  if (!config.input && config.iteration === undefined) {
+    throw new Error("Nothing to validate, pass --input or --iteration");
+  }
+
+  const input =
+    config.input ||
+    path.join(config.dataDir, `vesting_amounts${config.iteration}.csv`);
+  const reportFile =
+    config.reportFile ||
+    path.join(
+      config.recordsDir,
+      `vesting_validate_${path.basename(input, path.extname(input))}`
+    );
+
+  logMessage("Effective configuration:");
+  for (const line of formatConfig(config, sources)) {
+    logMessage(`  ${line}`);
+  }
+
+  const csv = readVestingCsv(input);
+  const { beneficiaries, errors, merged } = validateVestingRows(csv, {
+    amountUnit: config.amountUnit,
+    defaults: config,
+    contract: config.contract,
+    mergeDuplicates: config.mergeDuplicates,
+  });
+
+  for (const beneficiary of beneficiaries) {
+    if (beneficiary.merged.length > 0) {
+      logMessage(
+        `Merged line(s) ${beneficiary.merged.join(", ")} into line ${
+          beneficiary.line
+        } (${beneficiary.wallet}): ${formatAmount(beneficiary.amount)}`
+      );
+    }
+  }
+  for (const error of errors) {
+    logMessage(`##### ${formatRowError(error)}`);
+  }
+
+  const total = beneficiaries.reduce((sum, { amount }) => sum + amount, 0n);
+  fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+  writeFileAtomic(
+    `${reportFile}.csv`,
+    Papa.unparse(errors, {
+      columns: ["line", "wallet", "message"],
+      newline: "\n",
+    }) + "\n"
+  );
+  writeFileAtomic(
+    `${reportFile}.json`,
+    JSON.stringify(
+      {
+        input,
+        validatedAt: new Date().toISOString(),
+        rows: csv.rows.length,
+        beneficiaries: beneficiaries.length,
+        merged,
+        totalAmount: total.toString(),
+        errors,
+      },
+      null,
+      2
+    ) + "\n"
+  );
+  logMessage(`Report written to ${reportFile}.csv and ${reportFile}.json`);
+
+  logMessage(
+    `${csv.rows.length} rows in ${input}: ${
+      beneficiaries.length
+    } valid beneficiaries, ${
+      errors.length
+    } errors, ${merged} duplicates merged, total ${formatAmount(total)}`
+  );
+
+  if (errors.length > 0) {
+    throw new Error(`Validation found ${errors.length} error(s) in ${input}`);
+  }
+  if (config.output) {
+    writeNormalized(csv.columns, beneficiaries);
+  }
+}
+
+module.exports = {
+  description:
+    "Check an input CSV row by row and optionally write it normalized",
+  options: [
+    "config",
+    "profile",
+    "input",
+    "iteration",
+    "contract",
+    "amountUnit",
+    "startOffsetDays",
+    "durationDays",
+    "cliffDays",
+    "mergeDuplicates",
+    "reportFile",
+    "output",
+    "dataDir",
+    "recordsDir",
+  ],
+  run,
+};
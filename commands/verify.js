@@ -0,0 +1,416 @@
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+const { VestingClient } = require("../lib/client");
+const { formatConfig, requireOptions } = require("../lib/config");
+const { formatAmount } = require("../lib/amount");
+const {
+  readVestingCsv,
+  validateVestingRows,
+  formatRowError,
+} = require("../lib/input");
+const { writeFileAtomic } = require("../lib/ledger");
+const { mapWithConcurrency, createRateLimiter } = require("../lib/concurrency");
+const { EXIT_CODES } = require("../lib/supervisor");
+
+// Kinds of discrepancy in the report
+const ISSUES = ["missing", "wrong_amount", "wrong_schedule", "unexpected"];
+
+// Records statuses of a wallet that was sent. Failed rows were never mined,
+// and records written before the status column have none.
+const SENT_STATUSES = ["success", "pending", ""];
+
+// Set by run() from the resolved configuration
+let config;
+let client;
+
+// Function to log messages
+function logMessage(message) {
+  console.log(message);
+}
+
+// Read a CSV file into one object per non-empty row
+function readCsv(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} not found`);
+  }
+  return Papa.parse(fs.readFileSync(file, "utf8"), {
+    header: true,
+    skipEmptyLines: true,
+  }).data;
+}
+
+// Intended schedules of an input CSV, keyed by lowercased wallet. The rows
+// are read and validated as create reads them, so duplicates are merged with
+// --merge-duplicates as they were when sent. Start blocks depend on the block
+// the batch was sent at, so only the amount, the duration and the distance
+// from start to cliff are known.
+function intentFromInput(file) {
+  const { beneficiaries, errors } = validateVestingRows(readVestingCsv(file), {
+    amountUnit: config.amountUnit,
+    defaults: {
+      cliffDays: config.cliffDays,
+      durationDays: config.durationDays,
+      startOffsetDays: null,
+    },
+    contract: config.contract,
+    mergeDuplicates: config.mergeDuplicates,
+  });
+
+  if (errors.length > 0) {
+    logMessage(`Invalid rows in ${file}:`);
+    for (const error of errors) {
+      logMessage(`  ${formatRowError(error)}`);
+    }
+    throw new Error(`${errors.length} invalid row(s) in ${file}`);
+  }
+
+  return new Map(
+    beneficiaries.map(({ wallet, amount, cliffDays, durationDays }) => [
+      wallet.toLowerCase(),
+      {
+        wallet,
+        amount,
+        startBlock: null,
+        cliffBlock: null,
+        cliffBlocks: cliffDays * config.blocksPerDay,
+        durationBlocks: durationDays * config.blocksPerDay,
+      },
+    ])
+  );
+}
+
+// Parse an optional whole-number records column
+function parseBlockColumn(raw) {
+  return raw === undefined || raw === "" ? null : Number(raw);
+}
+
+// Intended schedules of the wallets a records file sent, keyed by lowercased
+// wallet. Later rows override earlier ones, matching the order they were
+// written.
+function intentFromRecords(file) {
+  const intent = new Map();
+
+  for (const row of readCsv(file)) {
+    const wallet = (row.wallet || "").trim();
+    if (wallet === "" || !SENT_STATUSES.includes(row.status || "")) {
+      continue;
+    }
+
+    // Records written before the schedule columns existed only hold amounts
+    const startBlock = parseBlockColumn(row.start_block);
+    const cliffBlock = parseBlockColumn(row.cliff_block);
+    intent.set(wallet.toLowerCase(), {
+      wallet,
+      amount: BigInt(row.amount),
+      startBlock,
+      cliffBlock,
+      cliffBlocks:
+        startBlock !== null && cliffBlock !== null
+          ? cliffBlock - startBlock
+          : null,
+      durationBlocks: parseBlockColumn(row.duration_blocks),
+    });
+  }
+  return intent;
+}
+
+// Compare one wallet's intended schedule with the contract, returning its
+// report rows
+function compareSchedule(expected, schedule) {
+  const { wallet } = expected;
+
+  if (!schedule.exists) {
+    return [
+      {
+        wallet,
+        issue: "missing",
+        field: "",
+        expected: expected.amount.toString(),
+        actual: "0",
+      },
+    ];
+  }
+
+  const mismatches = [];
+  if (schedule.totalAmount !== expected.amount) {
+    mismatches.push({
+      wallet,
+      issue: "wrong_amount",
+      field: "totalAmount",
+      expected: expected.amount.toString(),
+      actual: schedule.totalAmount.toString(),
+    });
+  }
+
+  const actual = {
+    startBlock: schedule.startBlock,
+    cliffBlock: schedule.cliffBlock,
+    durationInBlocks: schedule.durationInBlocks,
+    cliffBlocks: schedule.cliffBlock - schedule.startBlock,
+  };
+  const fields = [
+    ["startBlock", expected.startBlock],
+    ["cliffBlock", expected.cliffBlock],
+    ["durationInBlocks", expected.durationBlocks],
+  ];
+  // Without an exact cliff block, check the cliff's distance from the start
+  if (expected.cliffBlock === null) {
+    fields.push(["cliffBlocks", expected.cliffBlocks]);
+  }
+
+  for (const [field, value] of fields) {
+    if (value !== null && value !== actual[field]) {
+      mismatches.push({
+        wallet,
+        issue: "wrong_schedule",
+        field,
+        expected: String(value),
+        actual: String(actual[field]),
+      });
+    }
+  }
+  return mismatches;
+}
+
+// Read every wallet's schedule from the contract, with --concurrency lookups
+// in flight, and collect the discrepancies with the intended ones. Wallets in
+// `extra` are not intended at all and are only reported if the contract has
+// a schedule for them. A wallet whose lookup failed after the retries is
+// unknown, not missing.
+async function verifySchedules(intent, extra) {
+  const mismatches = [];
+  const unknown = [];
+  let checked = 0;
+
+  const wallets = [...intent.values(), ...extra];
+  await mapWithConcurrency(wallets, config.concurrency, async (expected) => {
+    const { wallet } = expected;
+    const { status, schedule, error } = await client.checkSchedule(wallet);
+    checked++;
+    if (status === "unknown") {
+      logMessage(`❓ ${wallet}: could not be checked, ${error.message}`);
+      unknown.push({ wallet, error: error.message });
+      return;
+    }
+
+    let found;
+    if (!intent.has(wallet.toLowerCase())) {
+      found = schedule.exists
+        ? [
+            {
+              wallet,
+              issue: "unexpected",
+              field: "",
+              expected: "0",
+              actual: schedule.totalAmount.toString(),
+            },
+          ]
+        : [];
+    } else {
+      found = compareSchedule(expected, schedule);
+    }
+
+    for (const mismatch of found) {
+      logMessage(
+        `❌ ${wallet}: ${mismatch.issue}${
+          mismatch.field ? ` ${mismatch.field}` : ""
+        }, expected ${mismatch.expected}, contract has ${mismatch.actual}`
+      );
+    }
+    if (found.length === 0 && intent.has(wallet.toLowerCase())) {
+      logMessage(`✅ ${wallet}: ${formatAmount(schedule.totalAmount)} matches`);
+    }
+    mismatches.push(...found);
+  });
+
+  // Lookups finish out of order, the report keeps the order of the wallets
+  const order = new Map(
+    wallets.map(({ wallet }, index) => [wallet.toLowerCase(), index])
+  );
+  const byWallet = (a, b) =>
+    order.get(a.wallet.toLowerCase()) - order.get(b.wallet.toLowerCase());
+  mismatches.sort(byWallet);
+  unknown.sort(byWallet);
+  return { checked, mismatches, unknown };
+}
+
+// Write the mismatch report as CSV and JSON. Unknown wallets are listed in the
+// CSV with the issue unknown and the error as the actual value.
+function writeReport(report) {
+  const csvFile = `${config.reportFile}.csv`;
+  const jsonFile = `${config.reportFile}.json`;
+  fs.mkdirSync(path.dirname(config.reportFile), { recursive: true });
+
+  writeFileAtomic(
+    csvFile,
+    Papa.unparse(
+      [
+        ...report.mismatches,
+        ...report.unknown.map(({ wallet, error }) => ({
+          wallet,
+          issue: "unknown",
+          field: "",
+          expected: "",
+          actual: error,
+        })),
+      ],
+      {
+        columns: ["wallet", "issue", "field", "expected", "actual"],
+        newline: "\n",
+      }
+    ) + "\n"
+  );
+  writeFileAtomic(jsonFile, JSON.stringify(report, null, 2) + "\n");
+  logMessage(`Report written to ${csvFile} and ${jsonFile}`);
+}
+
+// Verify the contract's schedules against an input CSV and/or a records file.
+// connections may hold a provider and a vesting contract to use instead of
+// connecting to the RPC URL. Resolves to exit code 2 if some wallets could
+// not be checked, and throws if any schedule differs.
+async function run(options, sources, connections = {}) {
+  config = options;
+  requireOptions(config, ["rpcUrl", "contract"]);
+  if (!config.input && !config.recordsFile) {
+    throw new Error("Nothing to verify, pass --input and/or --records");
+  }
+  if (config.input) {
+    requireOptions(config, ["amountUnit"]);
+  }
+  if (!config.reportFile) {
+    const source = config.input || config.recordsFile;
+    config.reportFile = path.join(
+      config.recordsDir,
+      `vesting_verify_${path.basename(source, path.extname(source))}`
+    );
+  }
+
+  logMessage("Effective configuration:");
+  for (const line of formatConfig(config, sources)) {
+    logMessage(`  ${line}`);
+  }
+
+  // The input CSV is the intent. A records file adds the exact blocks each
+  // wallet was sent with, and any wallet it sent that the input does not list
+  // is checked as a possible extra.
+  const recorded = config.recordsFile
+    ? intentFromRecords(config.recordsFile)
+    : new Map();
+  let intent = recorded;
+  const extra = [];
+  if (config.input) {
+    intent = intentFromInput(config.input);
+    for (const [key, record] of recorded) {
+      const expected = intent.get(key);
+      if (!expected) {
+        extra.push(record);
+      } else {
+        // Calendar dates and a measured block time give other cliffs and
+        // durations than the input's days at --blocks-per-day, so the
+        // recorded blocks win. Older records only hold the start block.
+        expected.startBlock = record.startBlock;
+        if (record.cliffBlock !== null) {
+          expected.cliffBlock = record.cliffBlock;
+        }
+        if (record.durationBlocks !== null) {
+          expected.durationBlocks = record.durationBlocks;
+        }
+      }
+    }
+  }
+
+  client = new VestingClient({
+    contract: config.contract,
+    provider: connections.provider,
+    vestingContract: connections.vestingContract,
+    rpcUrl: config.rpcUrl,
+    rpcQuorum: config.rpcQuorum,
+    log: logMessage,
+    rateLimiter: createRateLimiter(config.rpcRateLimit),
+    retryPolicy: {
+      maxRetries: config.maxRetries,
+      retryDelay: config.retryDelayMs,
+      log: logMessage,
+    },
+  });
+  await client.assertDeployment(config.chainId);
+
+  logMessage(
+    `Verifying ${intent.size} intended schedules${
+      extra.length > 0 ? ` and ${extra.length} recorded extra wallets` : ""
+    } against ${config.contract}...`
+  );
+  const { checked, mismatches, unknown } = await verifySchedules(intent, extra);
+
+  const counts = Object.fromEntries(
+    ISSUES.map((issue) => [
+      issue,
+      mismatches.filter((mismatch) => mismatch.issue === issue).length,
+    ])
+  );
+  const wrongWallets = new Set(
+    mismatches.map((mismatch) => mismatch.wallet.toLowerCase())
+  );
+  const unknownWallets = new Set(
+    unknown.map(({ wallet }) => wallet.toLowerCase())
+  );
+  writeReport({
+    contract: config.contract,
+    input: config.input || null,
+    records: config.recordsFile || null,
+    verifiedAt: new Date().toISOString(),
+    checked,
+    matching: [...intent.keys()].filter(
+      (key) => !wrongWallets.has(key) && !unknownWallets.has(key)
+    ).length,
+    discrepancies: counts,
+    mismatches,
+    unknown,
+  });
+
+  logMessage(
+    `Checked ${checked} wallets: ${ISSUES.map(
+      (issue) => `${issue}: ${counts[issue]}`
+    ).join(", ")}, unknown: ${unknown.length}`
+  );
+  if (mismatches.length > 0) {
+    throw new Error(
+      `Verification found ${mismatches.length} discrepancies in ${wrongWallets.size} wallets`
+    );
+  }
+  // A lookup that failed says nothing about the wallet's schedule
+  if (unknown.length > 0) {
+    logMessage(
+      `${unknown.length} wallets could not be checked, run verify again for them`
+    );
+    return { exitCode: EXIT_CODES.incomplete };
+  }
+  logMessage("All schedules match");
+}
+
+module.exports = {
+  description: "Compare the contract's schedules with an input CSV or records",
+  options: [
+    "config",
+    "profile",
+    "rpcUrl",
+    "rpcQuorum",
+    "chainId",
+    "contract",
+    "input",
+    "recordsFile",
+    "amountUnit",
+    "durationDays",
+    "cliffDays",
+    "blocksPerDay",
+    "mergeDuplicates",
+    "reportFile",
+    "concurrency",
+    "rpcRateLimit",
+    "maxRetries",
+    "retryDelayMs",
+    "recordsDir",
+  ],
+  run,
+};
@@ -0,0 +1,72 @@
+// Programmatic API. Requiring it has no side effects: no file is read, no
+// directory is created and no wallet is built until a function is called.
+const {
+  DEFAULT_VESTING_CONTRACT_ADDRESS,
+  QUAI_MAINNET_CHAIN_ID,
+  VESTING_CONTRACT_ABI,
+  createProvider,
+  createVestingContract,
+} = require("./lib/contract");
+const { createFailoverProvider } = require("./lib/rpc");
+const {
+  DEFAULT_BATCH_SIZE,
+  VestingClient,
+  splitIntoBatches,
+} = require("./lib/client");
+const {
+  SECONDS_PER_DAY,
+  resolveVestingParams,
+  fixedTiming,
+  daysToBlocks,
+  dateToBlock,
+  computeSchedule,
+  toContractSchedule,
+  vestedAmount,
+  vestingAmounts,
+  formatPercentage,
+} = require("./lib/schedule");
+const { measureBlockTime, estimateBlockDate } = require("./lib/blocktime");
+const { parseAmount, formatAmount } = require("./lib/amount");
+const { readVestingCsv, validateVestingRows } = require("./lib/input");
+const { loadHistory } = require("./lib/history");
+const { withRetry } = require("./lib/retry");
+const {
+  MAX_BATCH_SIZE,
+  DEFAULT_GAS_TARGET_PERCENT,
+  gasBudget,
+  fitBatches,
+} = require("./lib/batching");
+
+module.exports = {
+  DEFAULT_VESTING_CONTRACT_ADDRESS,
+  QUAI_MAINNET_CHAIN_ID,
+  VESTING_CONTRACT_ABI,
+  createProvider,
+  createFailoverProvider,
+  createVestingContract,
+  DEFAULT_BATCH_SIZE,
+  VestingClient,
+  splitIntoBatches,
+  MAX_BATCH_SIZE,
+  DEFAULT_GAS_TARGET_PERCENT,
+  gasBudget,
+  fitBatches,
+  SECONDS_PER_DAY,
+  resolveVestingParams,
+  fixedTiming,
+  daysToBlocks,
+  dateToBlock,
+  computeSchedule,
+  toContractSchedule,
+  vestedAmount,
+  vestingAmounts,
+  formatPercentage,
+  measureBlockTime,
+  estimateBlockDate,
+  parseAmount,
+  formatAmount,
+  readVestingCsv,
+  validateVestingRows,
+  loadHistory,
+  withRetry,
+};
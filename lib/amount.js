@@ -0,0 +1,56 @@
+const quais = require("quais");
+
+// Units the total column of a vesting CSV can be expressed in
+const AMOUNT_UNITS = ["quai", "wei"];
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+const QUAI_DECIMALS = 18;
+
+// Parse an amount in the given unit to an exact wei BigInt, throwing a
+// readable error for anything that cannot be vested as-is
+function parseAmount(raw, unit) {
+  const value = raw === undefined || raw === null ? "" : String(raw).trim();
+
+  if (value === "") {
+    throw new Error("amount is missing");
+  }
+  if (value.startsWith("-")) {
+    throw new Error(`amount ${value} is negative`);
+  }
+  if (!/^\d+(\.\d+)?$/.test(value)) {
+    throw new Error(`amount ${value} is not a plain decimal number`);
+  }
+
+  let wei;
+  if (unit === "wei") {
+    if (value.includes(".")) {
+      throw new Error(`amount ${value} is a fractional wei value`);
+    }
+    wei = BigInt(value);
+  } else if (unit === "quai") {
+    const decimals = value.includes(".") ? value.split(".")[1].length : 0;
+    if (decimals > QUAI_DECIMALS) {
+      throw new Error(
+        `amount ${value} has more than ${QUAI_DECIMALS} decimal places`
+      );
+    }
+    wei = quais.parseQuai(value);
+  } else {
+    throw new Error(`unknown amount unit ${unit}`);
+  }
+
+  if (wei === 0n) {
+    throw new Error("amount is zero");
+  }
+  if (wei > MAX_UINT256) {
+    throw new Error(`amount ${value} ${unit} overflows uint256`);
+  }
+  return wei;
+}
+
+// Format a wei amount with both units so it can't be misread
+function formatAmount(wei) {
+  return `${quais.formatQuai(wei)} QUAI (${wei} wei)`;
+}
+
+module.exports = { AMOUNT_UNITS, MAX_UINT256, parseAmount, formatAmount };
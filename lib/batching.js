@@ -0,0 +1,100 @@
+// Most beneficiaries per addBeneficiaries transaction when no batch size is
+// given, whatever the gas target allows
+const MAX_BATCH_SIZE = 200;
+
+// Share of the block gas limit one batch may use, in percent
+const DEFAULT_GAS_TARGET_PERCENT = 50;
+
+// Errors meaning a transaction is too large for a block, or ran out of gas
+const SIZE_ERROR_PATTERN =
+  /out of gas|exceeds block gas limit|gas limit reached|gas required exceeds|intrinsic gas too low|oversized data|too large/i;
+
+// Whether an error comes from a transaction being too large rather than from
+// the node or the contract rejecting its contents
+function isSizeError(error) {
+  return SIZE_ERROR_PATTERN.test(error.message);
+}
+
+// Whether an error is the contract rejecting the call, such as a
+// beneficiary that already has a schedule. The same call reverts again.
+function isRevertError(error) {
+  return error.code === "CALL_EXCEPTION" || /revert/i.test(error.message);
+}
+
+// Gas one batch may use: targetPercent of the block gas limit
+function gasBudget(blockGasLimit, targetPercent = DEFAULT_GAS_TARGET_PERCENT) {
+  return (BigInt(blockGasLimit) * BigInt(targetPercent)) / 100n;
+}
+
+// Split items into consecutive batches of at most maxSize whose estimated gas
+// stays within the budget. estimate(batch) returns the gas of one batch. A
+// batch over the budget is shrunk in proportion to the overshoot, and one
+// whose estimate fails with a size error is halved; the next batch starts at
+// the last size that fitted. A single item over the budget still makes a
+// batch of its own. With reject(item, error), a batch whose estimate reverts
+// is halved down to the items that revert on their own, which are passed to
+// reject and left out, so they do not hold back the rest; without it the
+// revert is thrown. Returns [{ items, gas }] in the order of the items.
+async function fitBatches(items, { maxSize, budget, estimate, reject }) {
+  const batches = [];
+  let size = maxSize;
+
+  for (let start = 0; start < items.length; ) {
+    let count = Math.min(size, items.length - start);
+    let batch;
+    let gas;
+    // Halved to find a reverting item, not because the batch is too large
+    let bisected = false;
+
+    while (true) {
+      batch = items.slice(start, start + count);
+      try {
+        gas = BigInt(await estimate(batch));
+      } catch (error) {
+        if (isSizeError(error)) {
+          if (count === 1) {
+            throw error;
+          }
+          count = Math.ceil(count / 2);
+          continue;
+        }
+        if (!reject || !isRevertError(error)) {
+          throw error;
+        }
+        if (count === 1) {
+          reject(batch[0], error);
+          batch = null;
+          break;
+        }
+        count = Math.ceil(count / 2);
+        bisected = true;
+        continue;
+      }
+      if (gas <= budget || count === 1) {
+        break;
+      }
+      count = Math.max(
+        1,
+        Math.min(count - 1, Number((BigInt(count) * budget) / gas))
+      );
+    }
+
+    if (batch) {
+      batches.push({ items: batch, gas });
+    }
+    start += count;
+    if (!bisected) {
+      size = count;
+    }
+  }
+  return batches;
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  DEFAULT_GAS_TARGET_PERCENT,
+  isSizeError,
+  isRevertError,
+  gasBudget,
+  fitBatches,
+};
@@ -0,0 +1,59 @@
+const { withRetry } = require("./retry");
+
+// Blocks looked back over to measure the average block time
+const BLOCK_TIME_WINDOW = 1000;
+
+// Fetch a block of the zone, throwing if the node does not have it
+async function getBlock(provider, zone, blockTag, retryPolicy) {
+  const block = await withRetry(
+    () => provider.getBlock(zone, blockTag),
+    retryPolicy
+  );
+  if (!block) {
+    throw new Error(`Block ${blockTag} not found`);
+  }
+  return { number: block.woHeader.number, timestamp: block.woHeader.timestamp };
+}
+
+// Measure the chain head of a zone and its average seconds per block over
+// the last `window` blocks, or fewer on a younger chain. secondsPerBlock is
+// null if there is no earlier block to measure against.
+async function measureBlockTime(
+  provider,
+  zone,
+  { window = BLOCK_TIME_WINDOW, retryPolicy } = {}
+) {
+  const head = await getBlock(provider, zone, "latest", retryPolicy);
+  const sampleNumber = Math.max(0, head.number - window);
+  if (sampleNumber === head.number) {
+    return {
+      blockNumber: head.number,
+      timestamp: head.timestamp,
+      secondsPerBlock: null,
+      window: 0,
+    };
+  }
+
+  const sample = await getBlock(provider, zone, sampleNumber, retryPolicy);
+  return {
+    blockNumber: head.number,
+    timestamp: head.timestamp,
+    secondsPerBlock:
+      (head.timestamp - sample.timestamp) / (head.number - sample.number),
+    window: head.number - sample.number,
+  };
+}
+
+// Estimate when a block was or will be produced, from a measured reference.
+// Returns null if the block time could not be measured.
+function estimateBlockDate(blockNumber, reference) {
+  if (!reference.secondsPerBlock) {
+    return null;
+  }
+  const seconds =
+    reference.timestamp +
+    (blockNumber - reference.blockNumber) * reference.secondsPerBlock;
+  return new Date(Math.round(seconds * 1000));
+}
+
+module.exports = { BLOCK_TIME_WINDOW, measureBlockTime, estimateBlockDate };
@@ -0,0 +1,271 @@
+const quais = require("quais");
+const {
+  DEFAULT_VESTING_CONTRACT_ADDRESS,
+  createProvider,
+  createVestingContract,
+} = require("./contract");
+const { withRetry } = require("./retry");
+const { mapWithConcurrency } = require("./concurrency");
+const { toContractSchedule } = require("./schedule");
+const { isSizeError, isRevertError } = require("./batching");
+const { FatalError } = require("./supervisor");
+
+// Beneficiaries per addBeneficiaries transaction
+const DEFAULT_BATCH_SIZE = 10;
+
+// Lookups in flight at once when reading many schedules
+const DEFAULT_CONCURRENCY = 8;
+
+// Outcomes of looking up whether a wallet has a schedule. unknown means the
+// lookup failed, so the wallet may or may not have one.
+const SCHEDULE_STATUSES = ["exists", "absent", "unknown"];
+
+// How often to poll for the receipts of a sent batch
+const RECEIPT_POLL_MS = 5000;
+
+// Split items into consecutive batches of at most `size`
+function splitIntoBatches(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+// Programmatic access to the vesting contract. Reads go through the retry
+// policy, sends do not, since a send that seemed to fail may still have been
+// broadcast. Schedules are passed in the shape computeSchedule returns:
+// { wallet, amount, startBlock, cliffBlock, durationBlocks }.
+class VestingClient {
+  // Takes a provider or RPC URL(s), and a signer to send transactions with.
+  // A signer connected to a provider is enough on its own. vestingContract
+  // replaces the contract instance, such as a stand-in in tests. rpcBatchSize
+  // is the most calls per JSON-RPC request of a provider built from rpcUrl,
+  // rpcQuorum the endpoints that must agree on its reads and log(message,
+  // fields) where it reports failovers. rateLimiter is awaited before every
+  // schedule lookup.
+  constructor({
+    contract = DEFAULT_VESTING_CONTRACT_ADDRESS,
+    provider,
+    rpcUrl,
+    signer,
+    vestingContract,
+    retryPolicy = {},
+    batchSize = DEFAULT_BATCH_SIZE,
+    rpcBatchSize = 1,
+    rpcQuorum = 1,
+    log,
+    rateLimiter = async () => {},
+  } = {}) {
+    this.provider =
+      provider ||
+      (signer && signer.provider) ||
+      (rpcUrl
+        ? createProvider(rpcUrl, {
+            batchMaxCount: rpcBatchSize,
+            quorum: rpcQuorum,
+            log,
+          })
+        : null);
+    if (!this.provider) {
+      throw new Error("VestingClient needs a provider, an rpcUrl or a signer");
+    }
+
+    this.address = contract;
+    this.signer = signer || null;
+    this.retryPolicy = retryPolicy;
+    this.batchSize = batchSize;
+    this.rateLimiter = rateLimiter;
+    this.contract =
+      vestingContract ||
+      createVestingContract(contract, signer || this.provider);
+  }
+
+  // Check that the RPC endpoints are on chain chainId and that the contract
+  // is deployed there and answers beneficiaries(), so a wrong endpoint or
+  // contract address fails before anything is read or sent. Endpoints of a
+  // failover provider are health-checked first. A mismatch throws a
+  // FatalError; an endpoint that cannot be reached throws a plain error.
+  async assertDeployment(chainId) {
+    if (this.provider.checkEndpoints) {
+      await this.provider.checkEndpoints({ chainId });
+    }
+    const network = await withRetry(
+      () => this.provider.getNetwork(),
+      this.retryPolicy
+    );
+    if (network.chainId !== BigInt(chainId)) {
+      throw new FatalError(
+        `The RPC endpoint is on chain ${network.chainId}, not chain ${chainId}: check --rpc-url and --chain-id`
+      );
+    }
+
+    const code = await withRetry(
+      () => this.provider.getCode(this.address),
+      this.retryPolicy
+    );
+    if (!code || code === "0x") {
+      throw new FatalError(
+        `No contract at ${this.address} on chain ${chainId}: check --contract`
+      );
+    }
+    // A call that reverts or returns data of another shape means another
+    // contract; other errors are the endpoint's and may pass
+    const notVesting = (error) =>
+      error.code === "CALL_EXCEPTION" || error.code === "BAD_DATA";
+    try {
+      await withRetry(() => this.contract.beneficiaries(quais.ZeroAddress), {
+        ...this.retryPolicy,
+        retryIf: (error) => !notVesting(error),
+      });
+    } catch (error) {
+      if (!notVesting(error)) {
+        throw error;
+      }
+      throw new FatalError(
+        `The contract at ${this.address} does not answer beneficiaries(), it is not the vesting contract: ${error.message}`
+      );
+    }
+  }
+
+  // Read a wallet's schedule. Amounts are wei BigInts and blocks are numbers,
+  // and a wallet without a schedule has exists set to false.
+  async getSchedule(wallet) {
+    const schedule = await withRetry(async () => {
+      await this.rateLimiter();
+      return this.contract.beneficiaries(wallet);
+    }, this.retryPolicy);
+    const startBlock = Number(schedule.startBlock);
+    const durationInBlocks = Number(schedule.durationInBlocks);
+    return {
+      wallet,
+      exists: schedule.totalAmount > 0n,
+      totalAmount: schedule.totalAmount,
+      releasedAmount: schedule.releasedAmount,
+      startBlock,
+      cliffBlock: Number(schedule.cliffBlock),
+      durationInBlocks,
+      endBlock: startBlock + durationInBlocks,
+    };
+  }
+
+  // Whether a wallet already has a schedule in the contract
+  async hasSchedule(wallet) {
+    return (await this.getSchedule(wallet)).exists;
+  }
+
+  // Look up a wallet's schedule without throwing. Returns its status, exists
+  // or absent with the schedule, or unknown with the error if the lookup
+  // failed after the retries. An unknown wallet must not be taken as absent.
+  async checkSchedule(wallet) {
+    try {
+      const schedule = await this.getSchedule(wallet);
+      return {
+        wallet,
+        status: schedule.exists ? "exists" : "absent",
+        schedule,
+      };
+    } catch (error) {
+      return { wallet, status: "unknown", error };
+    }
+  }
+
+  // Read the schedules of many wallets, in their order, with at most
+  // `concurrency` lookups in flight
+  async getSchedules(wallets, { concurrency = DEFAULT_CONCURRENCY } = {}) {
+    return mapWithConcurrency(wallets, concurrency, (wallet) =>
+      this.getSchedule(wallet)
+    );
+  }
+
+  // Current block number of the contract's zone
+  async getBlockNumber() {
+    return withRetry(() => this.provider.getBlockNumber(), this.retryPolicy);
+  }
+
+  // Gas limit of the latest block of the contract's zone
+  async getBlockGasLimit() {
+    const block = await withRetry(
+      () =>
+        this.provider.getBlock(quais.getZoneForAddress(this.address), "latest"),
+      this.retryPolicy
+    );
+    if (!block) {
+      throw new Error("Latest block not found");
+    }
+    return BigInt(block.header.gasLimit);
+  }
+
+  // Estimate the gas of one addBeneficiaries transaction. Overrides may set
+  // the sender, such as the owner when the client has no signer. A batch too
+  // large for a block, or one the contract reverts, fails at once instead of
+  // being retried.
+  async estimateAddBeneficiaries(schedules, overrides = {}) {
+    return withRetry(
+      () =>
+        this.contract.addBeneficiaries.estimateGas(
+          schedules.map(toContractSchedule),
+          overrides
+        ),
+      {
+        ...this.retryPolicy,
+        retryIf: (error) => !isSizeError(error) && !isRevertError(error),
+      }
+    );
+  }
+
+  // Send one addBeneficiaries transaction with the given overrides, such as
+  // nonce and gasPrice, and return it without waiting for it to be mined
+  async addBeneficiaries(schedules, overrides = {}) {
+    if (!this.signer) {
+      throw new Error("VestingClient needs a signer to add beneficiaries");
+    }
+    return this.contract.addBeneficiaries(
+      schedules.map(toContractSchedule),
+      overrides
+    );
+  }
+
+  // Send the schedules in batches of batchSize, one transaction at a time,
+  // waiting for each to be mined before the next. Returns one result per
+  // batch with its status: confirmed, reverted, or failed if it could not be
+  // sent. onBatch is called with each result as it completes.
+  async addBeneficiariesInBatches(
+    schedules,
+    { batchSize = this.batchSize, timeoutMs, onBatch } = {}
+  ) {
+    const results = [];
+
+    for (const batch of splitIntoBatches(schedules, batchSize)) {
+      const result = { schedules: batch, hash: null, status: "failed" };
+      try {
+        const tx = await this.addBeneficiaries(batch);
+        result.hash = tx.hash;
+        const receipt = await tx.wait(1, timeoutMs);
+        result.blockNumber = receipt.blockNumber;
+        result.gasUsed = receipt.gasUsed;
+        result.status = receipt.status === 1 ? "confirmed" : "reverted";
+      } catch (error) {
+        if (result.hash && error.code === "CALL_EXCEPTION") {
+          result.status = "reverted";
+        }
+        result.error = error.message;
+      }
+
+      results.push(result);
+      if (onBatch) {
+        await onBatch(result);
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_CONCURRENCY,
+  RECEIPT_POLL_MS,
+  SCHEDULE_STATUSES,
+  VestingClient,
+  splitIntoBatches,
+};
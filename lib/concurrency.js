@@ -0,0 +1,59 @@
+// Run fn over every item with at most `limit` calls in flight, returning the
+// results in the order of the items
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+// Token bucket limiting calls to ratePerSecond, with bursts of up to `burst`
+// calls after a quiet period. Returns a function to await before each call;
+// waiting callers go in the order they asked. A rate of 0 does not limit.
+function createRateLimiter(ratePerSecond, { burst = ratePerSecond } = {}) {
+  if (!ratePerSecond) {
+    return async () => {};
+  }
+
+  const capacity = Math.max(1, burst);
+  let tokens = capacity;
+  let refilledAt = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(
+      capacity,
+      tokens + ((now - refilledAt) * ratePerSecond) / 1000
+    );
+    refilledAt = now;
+  }
+
+  return function acquire() {
+    queue = queue.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, ((1 - tokens) * 1000) / ratePerSecond)
+        );
+        refill();
+      }
+      tokens -= 1;
+    });
+    return queue;
+  };
+}
+
+module.exports = { mapWithConcurrency, createRateLimiter };
@@ -0,0 +1,669 @@
+const fs = require("fs");
+const path = require("path");
+const { AMOUNT_UNITS } = require("./amount");
+const { MAX_RETRIES, RPC_RETRY_DELAY } = require("./retry");
+const { BLOCK_TIME_WINDOW } = require("./blocktime");
+const { DEFAULT_CONCURRENCY } = require("./client");
+const { MAX_BATCH_SIZE, DEFAULT_GAS_TARGET_PERCENT } = require("./batching");
+const { LOG_LEVELS } = require("./logger");
+const { SIGNER_TYPES } = require("./signer");
+const { endpointName } = require("./rpc");
+const {
+  DEFAULT_PROFILE,
+  PROFILES,
+  resolveProfile,
+  validateProfiles,
+} = require("./profiles");
+
+// Root of the repository, which the directories of profiles are relative to
+const ROOT_DIR = path.join(__dirname, "..");
+
+// Every run-time setting, keyed by the name used in config files.
+// Values are resolved from flags, then the config file, then the environment,
+// then the selected profile, then the default.
+const OPTIONS = {
+  config: {
+    flag: "--config",
+    type: "path",
+    description: "JSON file providing any of these options by name",
+  },
+  profile: {
+    flag: "--profile",
+    type: "string",
+    env: "VESTING_PROFILE",
+    default: DEFAULT_PROFILE,
+    description: `Network profile setting the RPC endpoints, chain ID, contract, block time and directories, and naming the output files: ${Object.keys(
+      PROFILES
+    ).join(", ")} or one under "profiles" in the config file`,
+  },
+  rpcUrl: {
+    flag: "--rpc-url",
+    type: "list",
+    env: "RPC_URL",
+    description:
+      "JSON-RPC endpoint, may be repeated or comma-separated to fail over between several (default: the profile's)",
+  },
+  rpcQuorum: {
+    flag: "--rpc-quorum",
+    type: "integer",
+    min: 1,
+    default: 1,
+    description:
+      "RPC endpoints that must return the same answer to contract reads and balances",
+  },
+  chainId: {
+    flag: "--chain-id",
+    type: "integer",
+    min: 0,
+    env: "CHAIN_ID",
+    description:
+      "Chain ID the RPC endpoints must be on (default: the profile's)",
+  },
+  contract: {
+    flag: "--contract",
+    type: "address",
+    description: "Vesting contract address (default: the profile's)",
+  },
+  iteration: {
+    flag: "--iteration",
+    type: "integer",
+    min: 0,
+    description: "Vesting iteration, selects the input, record and log files",
+  },
+  amountUnit: {
+    flag: "--amount-unit",
+    type: "choice",
+    choices: AMOUNT_UNITS,
+    description: `Unit of the CSV total column (${AMOUNT_UNITS.join(" or ")})`,
+  },
+  batchSize: {
+    flag: "--batch-size",
+    type: "integer",
+    min: 1,
+    description: `Most beneficiaries per addBeneficiaries transaction (default: as many as fit --gas-target-percent, at most ${MAX_BATCH_SIZE})`,
+  },
+  gasTargetPercent: {
+    flag: "--gas-target-percent",
+    type: "integer",
+    min: 1,
+    max: 100,
+    default: DEFAULT_GAS_TARGET_PERCENT,
+    description:
+      "Share of the block gas limit one batch transaction may use, in percent",
+  },
+  startOffsetDays: {
+    flag: "--start-offset-days",
+    type: "integer",
+    min: 0,
+    default: 3,
+    description: "Days from the current block until vesting starts",
+  },
+  durationDays: {
+    flag: "--duration-days",
+    type: "integer",
+    min: 1,
+    default: 730,
+    description: "Total vesting duration in days",
+  },
+  cliffDays: {
+    flag: "--cliff-days",
+    type: "integer",
+    min: 0,
+    default: 180,
+    description: "Cliff period in days",
+  },
+  blocksPerDay: {
+    flag: "--blocks-per-day",
+    type: "integer",
+    min: 1,
+    description:
+      "Blocks produced per day, used to convert days to blocks (default: the profile's)",
+  },
+  startBlock: {
+    flag: "--start-block",
+    type: "integer",
+    min: 0,
+    description:
+      "Block vesting starts at, instead of --start-offset-days from the current block",
+  },
+  startDate: {
+    flag: "--start-date",
+    type: "date",
+    description:
+      "UTC date vesting starts, converted to a block with the measured block time",
+  },
+  cliffDate: {
+    flag: "--cliff-date",
+    type: "date",
+    description:
+      "UTC date of the cliff, converted to a block with the measured block time",
+  },
+  endDate: {
+    flag: "--end-date",
+    type: "date",
+    description:
+      "UTC date vesting ends, converted to a block with the measured block time",
+  },
+  blockTimeWindow: {
+    flag: "--block-time-window",
+    type: "integer",
+    min: 1,
+    default: BLOCK_TIME_WINDOW,
+    description: "Recent blocks to measure the average block time over",
+  },
+  maxRetries: {
+    flag: "--max-retries",
+    type: "integer",
+    min: 1,
+    default: MAX_RETRIES,
+    description: "Attempts per RPC call or batch transaction",
+  },
+  retryDelayMs: {
+    flag: "--retry-delay-ms",
+    type: "integer",
+    min: 0,
+    default: RPC_RETRY_DELAY,
+    description: "Delay between RPC retries in milliseconds",
+  },
+  txTimeoutMs: {
+    flag: "--tx-timeout-ms",
+    type: "integer",
+    min: 1,
+    default: 120000, // 2 minutes
+    description:
+      "How long to wait for a batch transaction to be mined before replacing it",
+  },
+  feeBumpPercent: {
+    flag: "--fee-bump-percent",
+    type: "integer",
+    min: 10,
+    default: 20,
+    description: "Gas price increase for each replacement of a stuck batch",
+  },
+  maxReplacements: {
+    flag: "--max-replacements",
+    type: "integer",
+    min: 0,
+    default: 3,
+    description:
+      "Replacements of a stuck batch before leaving it pending for the next run",
+  },
+  fundingSource: {
+    flag: "--funding-source",
+    type: "choice",
+    choices: ["signer", "contract"],
+    default: "signer",
+    description:
+      "Who must hold the vesting amounts in the pre-flight check: the signer or the contract",
+  },
+  maxRestarts: {
+    flag: "--max-restarts",
+    type: "integer",
+    min: 0,
+    default: 3,
+    description:
+      "Automatic restarts of a run after an error, 0 to stop at the first error",
+  },
+  restartDelayMs: {
+    flag: "--restart-delay-ms",
+    type: "integer",
+    min: 0,
+    default: 5000,
+    description:
+      "Wait before the first automatic restart, doubled before each next one",
+  },
+  mergeDuplicates: {
+    flag: "--merge-duplicates",
+    type: "boolean",
+    default: false,
+    description:
+      "Merge rows of the same wallet by summing their amounts instead of rejecting them",
+  },
+  dryRun: {
+    flag: "--dry-run",
+    type: "boolean",
+    default: false,
+    description: "Plan the batches and write the plan file without sending",
+  },
+  logLevel: {
+    flag: "--log-level",
+    type: "choice",
+    choices: LOG_LEVELS,
+    default: "info",
+    description:
+      "Lowest level of messages printed to the console; the log file records every level",
+  },
+  planFile: {
+    flag: "--plan-file",
+    type: "path",
+    description:
+      "Where --dry-run writes its plan (default: records/vesting_plan_{PROFILE}{ITERATION}.json)",
+  },
+  input: {
+    flag: "--input",
+    type: "path",
+    description: "Input CSV of wallets and totals to verify against",
+  },
+  recordsFile: {
+    flag: "--records",
+    type: "path",
+    description: "Records file of a create run to verify against",
+  },
+  reportFile: {
+    flag: "--report",
+    type: "path",
+    description:
+      "Report path without extension, .csv and .json are written (default: records/vesting_{COMMAND}_{INPUT})",
+  },
+  addresses: {
+    flag: "--address",
+    type: "list",
+    description: "Address to check, may be repeated or given as arguments",
+  },
+  addressFile: {
+    flag: "--address-file",
+    type: "path",
+    description:
+      'File of addresses to check: a CSV with a wallet or address column, or one per line ("-" reads stdin)',
+  },
+  format: {
+    flag: "--format",
+    type: "choice",
+    choices: ["text", "json", "ndjson", "csv"],
+    default: "text",
+    description: "Output format of the results",
+  },
+  output: {
+    flag: "--output",
+    type: "path",
+    description:
+      "File to write the results to: check results (default: stdout), the normalized CSV of validate or the signed export of sign",
+  },
+  concurrency: {
+    flag: "--concurrency",
+    type: "integer",
+    min: 1,
+    default: DEFAULT_CONCURRENCY,
+    description: "Lookups in flight at once",
+  },
+  rpcRateLimit: {
+    flag: "--rpc-rate-limit",
+    type: "integer",
+    min: 0,
+    default: 0,
+    description:
+      "Most schedule lookups sent to the RPC endpoint per second, 0 for no limit",
+  },
+  rpcBatchSize: {
+    flag: "--rpc-batch-size",
+    type: "integer",
+    min: 1,
+    default: 1,
+    description:
+      "Most JSON-RPC calls sent together in one HTTP request, 1 to send each on its own",
+  },
+  scanCacheMinutes: {
+    flag: "--scan-cache-minutes",
+    type: "integer",
+    min: 0,
+    default: 60,
+    description:
+      "How long a pre-scan result of no schedule is reused by later runs, 0 to look such wallets up again every run",
+  },
+  dataDir: {
+    flag: "--data-dir",
+    type: "path",
+    description:
+      "Directory of the vesting_amounts{ITERATION}.csv input files (default: the profile's)",
+  },
+  recordsDir: {
+    flag: "--records-dir",
+    type: "path",
+    description:
+      "Directory of the records, state ledgers, plans and reports (default: the profile's)",
+  },
+  logsDir: {
+    flag: "--logs-dir",
+    type: "path",
+    description: "Directory of the log files (default: the profile's)",
+  },
+  signer: {
+    flag: "--signer",
+    type: "choice",
+    choices: SIGNER_TYPES,
+    default: "key",
+    description:
+      "How transactions are signed: key (PRIVATE_KEY), keystore (--keystore), offline (export unsigned transactions) or safe (export Safe proposals)",
+  },
+  keystore: {
+    flag: "--keystore",
+    type: "path",
+    description:
+      "Encrypted JSON keystore of the signer, unlocked with KEYSTORE_PASSPHRASE or a passphrase prompt",
+  },
+  from: {
+    flag: "--from",
+    type: "address",
+    description:
+      "Address of the offline signer, or of the Safe, the exported transactions are for. A dry run estimates gas as sent from it",
+  },
+  exportFile: {
+    flag: "--export-file",
+    type: "path",
+    description:
+      "Transactions exported by --signer offline or safe (default: records/vesting_unsigned_{PROFILE}{ITERATION}.json or records/vesting_safe_{PROFILE}{ITERATION}.json)",
+  },
+  signedFile: {
+    flag: "--signed",
+    type: "path",
+    description:
+      "Signed transactions to broadcast: the signed export, a JSON array of raw transactions or one per line",
+  },
+};
+
+// Paths of the files of an iteration, from the configured directories. Every
+// output file is named after the profile, so runs of one profile never
+// resume from or append to the files of another.
+function iterationFiles(config) {
+  const records = (name) => path.join(config.recordsDir, name);
+  const { iteration } = config;
+  const run = `${config.profile || DEFAULT_PROFILE}${iteration}`;
+  return {
+    source: path.join(config.dataDir, `vesting_amounts${iteration}.csv`),
+    records: records(`vesting_records_${run}.csv`),
+    state: records(`vesting_state_${run}.json`),
+    plan: records(`vesting_plan_${run}.json`),
+    scan: records(`vesting_scan_${run}.json`),
+    quarantine: records(`vesting_quarantine_${run}.csv`),
+    lock: records(`vesting_${run}.lock`),
+    unsigned: records(`vesting_unsigned_${run}.json`),
+    safe: records(`vesting_safe_${run}.json`),
+    log: path.join(config.logsDir, `vesting_${run}.log`),
+  };
+}
+
+// Find the option name for a command-line flag
+function optionForFlag(flag, allowed) {
+  return allowed.find((name) => OPTIONS[name].flag === flag);
+}
+
+// Split command-line arguments into option values and positional arguments
+function parseArgs(argv, allowed) {
+  const flags = {};
+  const positionals = [];
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--help" || arg === "-h") {
+      help = true;
+      continue;
+    }
+
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eqIndex = arg.indexOf("=");
+    const flag = eqIndex === -1 ? arg : arg.slice(0, eqIndex);
+    const name = optionForFlag(flag, allowed);
+    if (!name) {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+
+    let value;
+    if (eqIndex !== -1) {
+      value = arg.slice(eqIndex + 1);
+    } else if (OPTIONS[name].type === "boolean") {
+      value = true;
+    } else if (i + 1 < argv.length) {
+      value = argv[++i];
+    } else {
+      throw new Error(`Missing value for ${flag}`);
+    }
+
+    if (OPTIONS[name].type === "list") {
+      flags[name] = (flags[name] || []).concat(value);
+    } else {
+      flags[name] = value;
+    }
+  }
+
+  return { flags, positionals, help };
+}
+
+// Convert a raw flag, file or environment value to the option's type
+function coerceOption(name, raw) {
+  const option = OPTIONS[name];
+
+  switch (option.type) {
+    case "integer": {
+      const value = String(raw).trim();
+      if (!/^-?\d+$/.test(value)) {
+        throw new Error(
+          `Invalid value for ${option.flag}: "${raw}" is not a whole number`
+        );
+      }
+      const number = Number(value);
+      if (option.min !== undefined && number < option.min) {
+        throw new Error(
+          `Invalid value for ${option.flag}: ${number} is less than ${option.min}`
+        );
+      }
+      if (option.max !== undefined && number > option.max) {
+        throw new Error(
+          `Invalid value for ${option.flag}: ${number} is more than ${option.max}`
+        );
+      }
+      return number;
+    }
+    case "address": {
+      const value = String(raw).trim();
+      if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+        throw new Error(
+          `Invalid value for ${option.flag}: "${raw}" is not an address`
+        );
+      }
+      return value;
+    }
+    case "boolean": {
+      const value = String(raw).trim().toLowerCase();
+      if (value !== "true" && value !== "false") {
+        throw new Error(
+          `Invalid value for ${option.flag}: "${raw}" is not true or false`
+        );
+      }
+      return value === "true";
+    }
+    case "choice": {
+      const value = String(raw).trim().toLowerCase();
+      if (!option.choices.includes(value)) {
+        throw new Error(
+          `Invalid value for ${
+            option.flag
+          }: "${raw}" is not one of ${option.choices.join(", ")}`
+        );
+      }
+      return value;
+    }
+    case "list":
+      // Repeated flags and comma-separated values both add to the list
+      return []
+        .concat(raw)
+        .flatMap((value) => String(value).split(","))
+        .map((value) => value.trim())
+        .filter((value) => value !== "");
+    case "date": {
+      // A date without a time is midnight, and every date is UTC
+      const value = String(raw).trim();
+      const match =
+        /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2})?)Z?)?$/.exec(value);
+      const date = match && new Date(`${match[1]}T${match[2] || "00:00"}Z`);
+      if (
+        !date ||
+        isNaN(date) ||
+        date.toISOString().slice(0, 10) !== match[1]
+      ) {
+        throw new Error(
+          `Invalid value for ${option.flag}: "${raw}" is not a UTC date (YYYY-MM-DD or YYYY-MM-DDTHH:MM:SSZ)`
+        );
+      }
+      return date;
+    }
+    case "path":
+      // "-" stands for stdin
+      return raw === "-" ? raw : path.resolve(String(raw));
+    default:
+      return String(raw);
+  }
+}
+
+// Read a JSON config file, rejecting names that are not options. Options of
+// other commands are allowed so one file can serve every command, and
+// "profiles" may define profiles or change built-in ones.
+function loadConfigFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Config file ${file} not found`);
+  }
+
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Config file ${file} is not valid JSON: ${error.message}`);
+  }
+
+  for (const name of Object.keys(values)) {
+    if (name === "profiles") {
+      validateProfiles(values.profiles, file);
+    } else if (name === "config" || !OPTIONS[name]) {
+      throw new Error(`Unknown option "${name}" in config file ${file}`);
+    }
+  }
+  return values;
+}
+
+// Resolve the effective configuration of a command and where each value came from
+function resolveConfig(allowed, flags, env = process.env) {
+  const fileValues = flags.config
+    ? loadConfigFile(coerceOption("config", flags.config))
+    : {};
+
+  const config = {};
+  const sources = {};
+
+  // The profile is resolved first, since it provides defaults of the others.
+  // A profile picked with --profile or in the config file outranks the
+  // environment, so a .env written for one network cannot silently keep a
+  // run of another on its endpoints.
+  let profileName;
+  let profile = {};
+  let explicitProfile = false;
+  if (allowed.includes("profile")) {
+    explicitProfile =
+      flags.profile !== undefined || fileValues.profile !== undefined;
+    profileName = String(
+      [
+        flags.profile,
+        fileValues.profile,
+        env[OPTIONS.profile.env],
+        OPTIONS.profile.default,
+      ].find((value) => value !== undefined)
+    ).trim();
+    profile = resolveProfile(profileName, fileValues.profiles);
+    for (const dir of ["dataDir", "recordsDir", "logsDir"]) {
+      profile[dir] = path.resolve(ROOT_DIR, profile[dir]);
+    }
+  }
+
+  for (const name of allowed) {
+    const option = OPTIONS[name];
+    let raw;
+
+    if (flags[name] !== undefined) {
+      raw = flags[name];
+      sources[name] = "flag";
+    } else if (fileValues[name] !== undefined) {
+      raw = fileValues[name];
+      sources[name] = "config file";
+    } else if (
+      option.env &&
+      env[option.env] !== undefined &&
+      !(explicitProfile && profile[name] !== undefined)
+    ) {
+      raw = env[option.env];
+      sources[name] = `env ${option.env}`;
+    } else if (name !== "profile" && profile[name] !== undefined) {
+      raw = profile[name];
+      sources[name] = `profile ${profileName}`;
+    } else if (option.default !== undefined) {
+      raw = option.default;
+      sources[name] = "default";
+    }
+
+    config[name] = raw === undefined ? undefined : coerceOption(name, raw);
+  }
+
+  return { config, sources };
+}
+
+// Throw if any of the given options has no value or is an empty list
+function requireOptions(config, names) {
+  const missing = names.filter(
+    (name) =>
+      config[name] === undefined ||
+      (Array.isArray(config[name]) && config[name].length === 0)
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing required option(s): ${missing
+        .map((name) => OPTIONS[name].flag)
+        .join(", ")}`
+    );
+  }
+}
+
+// Format the effective configuration, one "name: value (source)" line per
+// option. RPC endpoints are named by host, since their path or query may hold
+// an API key.
+function formatConfig(config, sources) {
+  return Object.keys(config)
+    .filter((name) => config[name] !== undefined)
+    .map((name) => {
+      let value = config[name];
+      if (name === "rpcUrl") {
+        value = [].concat(value).map(endpointName);
+      }
+      if (Array.isArray(value)) {
+        value = value.join(", ");
+      } else if (value instanceof Date) {
+        value = value.toISOString();
+      }
+      return `${name}: ${value} (${sources[name]})`;
+    });
+}
+
+// Format the option help of a command
+function formatOptionsHelp(allowed) {
+  return allowed.map((name) => {
+    const option = OPTIONS[name];
+    const defaultText =
+      option.default !== undefined ? ` (default: ${option.default})` : "";
+    const envText = option.env ? ` [env ${option.env}]` : "";
+    return `  ${option.flag.padEnd(22)}${
+      option.description
+    }${defaultText}${envText}`;
+  });
+}
+
+module.exports = {
+  OPTIONS,
+  parseArgs,
+  resolveConfig,
+  requireOptions,
+  formatConfig,
+  formatOptionsHelp,
+  iterationFiles,
+};
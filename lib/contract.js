@@ -0,0 +1,72 @@
+const quais = require("quais");
+const { createFailoverProvider } = require("./rpc");
+
+// Vesting contract deployed on mainnet
+const DEFAULT_VESTING_CONTRACT_ADDRESS =
+  "0x0045edcE84e8E85e1E4861f082e5F5A0a50A7317";
+
+// Chain ID of Quai mainnet, where the contract is deployed
+const QUAI_MAINNET_CHAIN_ID = 9;
+
+// Vesting contract ABI (just the functions we need)
+const VESTING_CONTRACT_ABI = [
+  "function addBeneficiaries(tuple(address beneficiary, uint256 totalAmount, uint64 startBlock, uint64 durationInBlocks, uint64 cliffBlock)[] calldata schedules) external",
+  "function beneficiaries(address) external view returns (uint256 totalAmount, uint256 releasedAmount, uint64 startBlock, uint64 durationInBlocks, uint64 cliffBlock)",
+];
+
+// Interface of the ABI, for encoding calls without a contract instance
+const VESTING_INTERFACE = new quais.Interface(VESTING_CONTRACT_ABI);
+
+// Create a JSON-RPC provider for one endpoint URL or a list of them. By
+// default every call is its own HTTP request; with batchMaxCount above 1,
+// calls made together share requests of up to that many calls. Several
+// endpoints, or a quorum above 1, make a failover provider, which reports
+// through log.
+function createProvider(rpcUrl, { batchMaxCount = 1, quorum = 1, log } = {}) {
+  const urls = [].concat(rpcUrl);
+  const endpoints = urls.map((url) => ({
+    url,
+    provider: new quais.JsonRpcProvider(url, undefined, { batchMaxCount }),
+  }));
+  if (endpoints.length === 1 && quorum === 1) {
+    return endpoints[0].provider;
+  }
+  return createFailoverProvider(endpoints, { quorum, log });
+}
+
+// Create a vesting contract instance bound to a provider or signer
+function createVestingContract(address, runner) {
+  return new quais.Contract(address, VESTING_CONTRACT_ABI, runner);
+}
+
+// Calldata of an addBeneficiaries call with schedules in the contract's shape
+function encodeAddBeneficiaries(schedules) {
+  return VESTING_INTERFACE.encodeFunctionData("addBeneficiaries", [schedules]);
+}
+
+// Schedules of addBeneficiaries calldata, in the contract's shape, throwing
+// if the data is another call
+function decodeAddBeneficiaries(data) {
+  const [schedules] = VESTING_INTERFACE.decodeFunctionData(
+    "addBeneficiaries",
+    data
+  );
+  return schedules.map((schedule) => ({
+    beneficiary: schedule.beneficiary,
+    totalAmount: schedule.totalAmount,
+    startBlock: Number(schedule.startBlock),
+    durationInBlocks: Number(schedule.durationInBlocks),
+    cliffBlock: Number(schedule.cliffBlock),
+  }));
+}
+
+module.exports = {
+  DEFAULT_VESTING_CONTRACT_ADDRESS,
+  QUAI_MAINNET_CHAIN_ID,
+  VESTING_CONTRACT_ABI,
+  VESTING_INTERFACE,
+  encodeAddBeneficiaries,
+  decodeAddBeneficiaries,
+  createProvider,
+  createVestingContract,
+};
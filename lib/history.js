@@ -0,0 +1,120 @@
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+const { DEFAULT_PROFILE } = require("./profiles");
+
+// Records files of every iteration of a profile, named after the iteration
+// number. Profile names are letters, digits, - and _, safe in a pattern.
+function recordsFilePattern(profile = DEFAULT_PROFILE) {
+  return new RegExp(`^vesting_records_${profile}(\\d+)\\.csv$`);
+}
+
+// Parse an optional whole-number records column
+function parseBlockColumn(raw) {
+  return raw === undefined || raw === "" ? null : Number(raw);
+}
+
+// Read one records file into its wallets' latest rows, keyed by lowercased
+// wallet. Later rows override earlier ones, matching the order they were
+// written.
+function readRecords(file, iteration) {
+  const records = Papa.parse(fs.readFileSync(file, "utf8"), {
+    header: true,
+    skipEmptyLines: true,
+  }).data;
+
+  const latest = new Map();
+  for (const record of records) {
+    const wallet = (record.wallet || "").trim();
+    if (wallet === "") {
+      continue;
+    }
+    latest.set(wallet.toLowerCase(), {
+      wallet,
+      iteration,
+      amount: BigInt(record.amount),
+      status: record.status,
+      txHash: record.tx_hash || null,
+      startBlock: parseBlockColumn(record.start_block),
+      cliffBlock: parseBlockColumn(record.cliff_block),
+      durationBlocks: parseBlockColumn(record.duration_blocks),
+      endBlock: parseBlockColumn(record.end_block),
+      file,
+    });
+  }
+  return latest;
+}
+
+// Whether a recorded allocation was or may still be created in the contract.
+// A failed batch created nothing.
+function isAllocated(allocation) {
+  return allocation.status !== "failed";
+}
+
+// Load every records file of a profile in the directory into a per-wallet
+// allocation history. Returns the iterations found and the wallets, keyed by
+// lowercased wallet, each with its allocations in iteration order.
+function loadHistory(recordsDir, profile) {
+  const pattern = recordsFilePattern(profile);
+  const files = fs.existsSync(recordsDir)
+    ? fs
+        .readdirSync(recordsDir)
+        .map((name) => ({ name, match: pattern.exec(name) }))
+        .filter(({ match }) => match)
+        .map(({ name, match }) => ({
+          file: path.join(recordsDir, name),
+          iteration: Number(match[1]),
+        }))
+        .sort((a, b) => a.iteration - b.iteration)
+    : [];
+
+  const wallets = new Map();
+  for (const { file, iteration } of files) {
+    for (const [key, allocation] of readRecords(file, iteration)) {
+      if (!wallets.has(key)) {
+        wallets.set(key, { wallet: allocation.wallet, allocations: [] });
+      }
+      wallets.get(key).allocations.push(allocation);
+    }
+  }
+
+  return { iterations: files.map(({ iteration }) => iteration), wallets };
+}
+
+// Allocations of a wallet, other than those of `excludeIteration`, that were
+// or may have been created in the contract
+function priorAllocations(history, wallet, excludeIteration) {
+  const entry = history.wallets.get(wallet.toLowerCase());
+  if (!entry) {
+    return [];
+  }
+  return entry.allocations.filter(
+    (allocation) =>
+      allocation.iteration !== excludeIteration && isAllocated(allocation)
+  );
+}
+
+// Wallets allocated in more than one iteration
+function findMultiIterationWallets(history) {
+  return [...history.wallets.values()].filter(
+    ({ allocations }) =>
+      new Set(allocations.filter(isAllocated).map(({ iteration }) => iteration))
+        .size > 1
+  );
+}
+
+// Sum of the allocations that were or may have been created
+function allocatedTotal(allocations) {
+  return allocations
+    .filter(isAllocated)
+    .reduce((sum, { amount }) => sum + amount, 0n);
+}
+
+module.exports = {
+  recordsFilePattern,
+  loadHistory,
+  isAllocated,
+  priorAllocations,
+  findMultiIterationWallets,
+  allocatedTotal,
+};
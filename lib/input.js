@@ -0,0 +1,168 @@
+const fs = require("fs");
+const Papa = require("papaparse");
+const quais = require("quais");
+const { MAX_UINT256, parseAmount } = require("./amount");
+const { resolveVestingParams } = require("./schedule");
+
+// Columns every vesting CSV must have
+const REQUIRED_COLUMNS = ["wallet", "total"];
+
+// Read a vesting CSV, dropping a BOM and blank rows and trimming header names
+// and values. Header names are lowercased. Each row keeps its line number in
+// the file, the header being line 1.
+function readVestingCsv(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} not found`);
+  }
+
+  const text = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "");
+  const parsed = Papa.parse(text, {
+    header: true,
+    transformHeader: (header) => header.trim().toLowerCase(),
+    transform: (value) => value.trim(),
+  });
+
+  const rows = parsed.data
+    .map((row, index) => ({ line: index + 2, row }))
+    .filter(({ row }) =>
+      Object.values(row).some((value) => value !== "" && value !== undefined)
+    );
+  return { columns: parsed.meta.fields || [], rows };
+}
+
+// Check a wallet address and return its checksum form. Throws unless it is a
+// Quai address in the contract's zone.
+function normalizeWallet(raw, contractZone) {
+  if (raw === undefined || raw === "") {
+    throw new Error("wallet is missing");
+  }
+  if (!quais.isAddress(raw)) {
+    throw new Error(`${raw} is not a valid address`);
+  }
+
+  const wallet = quais.getAddress(raw);
+  if (!quais.isQuaiAddress(wallet)) {
+    throw new Error(`${wallet} is a Qi address, not a Quai address`);
+  }
+  const zone = quais.getZoneForAddress(wallet);
+  if (zone === null) {
+    throw new Error(`${wallet} is not in any Quai shard`);
+  }
+  if (zone !== contractZone) {
+    throw new Error(
+      `${wallet} is in zone ${zone}, the vesting contract is in zone ${contractZone}`
+    );
+  }
+  return wallet;
+}
+
+// Validate the rows read by readVestingCsv. Returns the beneficiaries, with
+// checksummed wallets, wei amounts and vesting parameters, and every problem
+// found as { line, wallet, message }. Duplicate wallets, in any letter case,
+// are errors unless mergeDuplicates is set, which sums their amounts into the
+// first row as long as their schedules are the same.
+function validateVestingRows(
+  { columns, rows },
+  { amountUnit, defaults, contract, mergeDuplicates = false }
+) {
+  const missing = REQUIRED_COLUMNS.filter(
+    (column) => !columns.includes(column)
+  );
+  if (missing.length > 0) {
+    return {
+      beneficiaries: [],
+      errors: [
+        {
+          line: 1,
+          wallet: "",
+          message: `missing column(s): ${missing.join(", ")}`,
+        },
+      ],
+      merged: 0,
+    };
+  }
+
+  const contractZone = quais.getZoneForAddress(contract);
+  const beneficiaries = [];
+  const byWallet = new Map();
+  const errors = [];
+  let merged = 0;
+
+  for (const { line, row } of rows) {
+    const raw = row.wallet || "";
+    const messages = [];
+    let wallet;
+    let amount;
+    let params;
+
+    // Collect every problem of the row, not just the first
+    try {
+      wallet = normalizeWallet(raw, contractZone);
+    } catch (error) {
+      messages.push(error.message);
+    }
+    try {
+      amount = parseAmount(row.total, amountUnit);
+    } catch (error) {
+      messages.push(error.message);
+    }
+    try {
+      params = resolveVestingParams(row, defaults);
+    } catch (error) {
+      messages.push(error.message);
+    }
+
+    if (messages.length > 0) {
+      for (const message of messages) {
+        errors.push({ line, wallet: raw, message });
+      }
+      continue;
+    }
+
+    const first = byWallet.get(wallet.toLowerCase());
+    if (!first) {
+      const beneficiary = { line, wallet, amount, ...params, row, merged: [] };
+      byWallet.set(wallet.toLowerCase(), beneficiary);
+      beneficiaries.push(beneficiary);
+      continue;
+    }
+
+    const sameSchedule = Object.keys(params).every(
+      (name) => params[name] === first[name]
+    );
+    if (!mergeDuplicates) {
+      errors.push({ line, wallet, message: `duplicate of line ${first.line}` });
+    } else if (!sameSchedule) {
+      errors.push({
+        line,
+        wallet,
+        message: `duplicate of line ${first.line} with a different schedule, cannot merge`,
+      });
+    } else if (first.amount + amount > MAX_UINT256) {
+      // Each row fits, their sum may not
+      errors.push({
+        line,
+        wallet,
+        message: `duplicate of line ${first.line}, the merged amount overflows uint256`,
+      });
+    } else {
+      first.amount += amount;
+      first.merged.push(line);
+      merged++;
+    }
+  }
+
+  return { beneficiaries, errors, merged };
+}
+
+// Format a validation error as a report line
+function formatRowError({ line, wallet, message }) {
+  return `line ${line}${wallet ? ` (${wallet})` : ""}: ${message}`;
+}
+
+module.exports = {
+  REQUIRED_COLUMNS,
+  readVestingCsv,
+  validateVestingRows,
+  formatRowError,
+};
@@ -0,0 +1,166 @@
+const fs = require("fs");
+const path = require("path");
+const Papa = require("papaparse");
+
+// Header of the records file. seconds_per_block is the block time the
+// schedule blocks were computed with.
+const RECORD_HEADER =
+  "wallet,amount,tx_hash,status,start_block,cliff_block,duration_blocks,end_block,seconds_per_block";
+
+// Wallet states tracked by the ledger
+const LEDGER_STATES = ["pending", "sent", "confirmed", "failed", "skipped"];
+
+// States that mean a wallet must not be batched again
+const DONE_STATES = ["confirmed", "skipped"];
+
+// Write a file so readers only ever see the old or the new contents
+function writeFileAtomic(file, contents) {
+  const tmpFile = path.join(
+    path.dirname(file),
+    `.${path.basename(file)}.${process.pid}.tmp`
+  );
+  fs.writeFileSync(tmpFile, contents);
+  fs.renameSync(tmpFile, file);
+}
+
+// Append one records row per scheduled wallet of a batch
+function appendRecords(recordFile, schedules, txHash, status, secondsPerBlock) {
+  const rows = schedules.map(
+    ({ wallet, amount, startBlock, cliffBlock, durationBlocks, endBlock }) =>
+      `${wallet},${amount},${
+        txHash || ""
+      },${status},${startBlock},${cliffBlock},${durationBlocks},${endBlock},${secondsPerBlock}\n`
+  );
+  fs.appendFileSync(recordFile, rows.join(""));
+}
+
+// Build ledger entries from a records CSV written before the ledger existed
+function entriesFromRecords(recordFile) {
+  const entries = {};
+  if (!recordFile || !fs.existsSync(recordFile)) {
+    return entries;
+  }
+
+  const records = Papa.parse(fs.readFileSync(recordFile, "utf8"), {
+    header: true,
+  }).data;
+
+  // Later rows override earlier ones, matching the order they were written
+  for (const record of records) {
+    if (!record.wallet || record.wallet.trim() === "") {
+      continue;
+    }
+
+    let state;
+    if (record.status === "success") {
+      state = "confirmed";
+    } else if (record.status === "failed") {
+      state = "failed";
+    } else if (record.tx_hash) {
+      state = "sent";
+    } else {
+      continue;
+    }
+
+    entries[record.wallet.toLowerCase()] = {
+      wallet: record.wallet,
+      state,
+      amount: record.amount,
+      txHash: record.tx_hash || null,
+      txHashes: record.tx_hash ? [record.tx_hash] : [],
+      blockNumber: null,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+  return entries;
+}
+
+// Open the per-wallet state ledger of an iteration. If it does not exist yet
+// it is seeded from the iteration's records CSV. A read-only ledger keeps
+// changes in memory and never writes the file. Besides the wallets the
+// ledger holds the run state shared by every wallet of the iteration.
+function openLedger(file, { recordFile, readOnly = false } = {}) {
+  let wallets;
+  let run = null;
+  let seeded = false;
+
+  if (fs.existsSync(file)) {
+    const contents = JSON.parse(fs.readFileSync(file, "utf8"));
+    wallets = contents.wallets;
+    run = contents.run || null;
+  } else {
+    wallets = entriesFromRecords(recordFile);
+    seeded = Object.keys(wallets).length > 0;
+  }
+
+  function save() {
+    if (!readOnly) {
+      writeFileAtomic(
+        file,
+        JSON.stringify({ version: 1, run, wallets }, null, 2) + "\n"
+      );
+    }
+  }
+
+  // Set the state of one or more wallets and persist the whole ledger once.
+  // Items are wallet addresses, or objects with a wallet and fields of their
+  // own; `fields` are merged into every item.
+  function update(items, state, fields = {}) {
+    if (!LEDGER_STATES.includes(state)) {
+      throw new Error(`Unknown ledger state: ${state}`);
+    }
+
+    for (const item of items) {
+      const { wallet, ...own } =
+        typeof item === "string" ? { wallet: item } : item;
+      const key = wallet.toLowerCase();
+      const entry = wallets[key] || { wallet, txHash: null, txHashes: [] };
+      const txHash = own.txHash || fields.txHash;
+      const txHashes =
+        txHash && !entry.txHashes.includes(txHash)
+          ? entry.txHashes.concat(txHash)
+          : entry.txHashes;
+
+      // A reason only describes the state it was recorded with
+      wallets[key] = {
+        ...entry,
+        reason: null,
+        ...own,
+        ...fields,
+        state,
+        txHashes,
+        updatedAt: new Date().toISOString(),
+      };
+    }
+    save();
+  }
+
+  // Replace the run state and persist the ledger
+  function setRun(state) {
+    run = state;
+    save();
+  }
+
+  if (seeded) {
+    save();
+  }
+
+  return {
+    file,
+    seeded,
+    get: (wallet) => wallets[wallet.toLowerCase()] || null,
+    entries: () => Object.values(wallets),
+    update,
+    run: () => run,
+    setRun,
+  };
+}
+
+module.exports = {
+  RECORD_HEADER,
+  LEDGER_STATES,
+  DONE_STATES,
+  openLedger,
+  appendRecords,
+  writeFileAtomic,
+};
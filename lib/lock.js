@@ -0,0 +1,81 @@
+const fs = require("fs");
+const os = require("os");
+
+// Whether a process of this host is still running
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists but belongs to another user
+    return error.code === "EPERM";
+  }
+}
+
+// Read a lock file, or null if it is gone or unreadable
+function readLock(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Take the lock file for this process, throwing if another live process holds
+// it. A lock left behind by a process of this host that no longer runs is
+// taken over, and the stale holder is returned so it can be logged. A lock
+// held on another host is never taken over, since its process cannot be
+// checked. Returns { stale, release }.
+function acquireLock(file, details = {}) {
+  const holder = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    startedAt: new Date().toISOString(),
+    ...details,
+  };
+  let stale = null;
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify(holder, null, 2) + "\n", {
+        flag: "wx",
+      });
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+
+    const current = readLock(file);
+    const alive =
+      !current ||
+      current.hostname !== holder.hostname ||
+      isProcessAlive(current.pid);
+    if (attempt > 0 || alive) {
+      throw new Error(
+        current
+          ? `${file} is held by process ${current.pid} on ${current.hostname} since ${current.startedAt}. Wait for it to finish, or remove ${file} if that process is gone`
+          : `${file} is held by another process`
+      );
+    }
+    stale = current;
+    fs.rmSync(file, { force: true });
+  }
+
+  // Remove the lock, unless another process has taken it over since
+  function release() {
+    const current = readLock(file);
+    if (
+      current &&
+      current.pid === holder.pid &&
+      current.startedAt === holder.startedAt
+    ) {
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  return { stale, release };
+}
+
+module.exports = { acquireLock };
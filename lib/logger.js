@@ -0,0 +1,45 @@
+const fs = require("fs");
+const crypto = require("crypto");
+
+// Log levels, from the most to the least verbose
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+// Serialize BigInt amounts and gas as decimal strings
+function jsonValue(key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+// Create a logger that appends one JSON record per message to the log file,
+// if given, and prints messages at or above consoleLevel to the console.
+// Each record holds the time, run ID, level, event type and message, plus
+// any fields passed with the message, such as wallet, batch and txHash.
+function createLogger(
+  logFile,
+  { runId = crypto.randomUUID(), consoleLevel = "info" } = {}
+) {
+  const consoleRank = LOG_LEVELS.indexOf(consoleLevel);
+
+  function logMessage(
+    message,
+    { level = "info", event = "message", ...fields } = {}
+  ) {
+    const time = new Date().toISOString();
+    if (logFile) {
+      fs.appendFileSync(
+        logFile,
+        JSON.stringify(
+          { time, runId, level, event, message, ...fields },
+          jsonValue
+        ) + "\n"
+      );
+    }
+    if (LOG_LEVELS.indexOf(level) >= consoleRank) {
+      console.log(`${time}: ${message}`);
+    }
+  }
+
+  logMessage.runId = runId;
+  return logMessage;
+}
+
+module.exports = { LOG_LEVELS, createLogger };
@@ -0,0 +1,104 @@
+const {
+  DEFAULT_VESTING_CONTRACT_ADDRESS,
+  QUAI_MAINNET_CHAIN_ID,
+} = require("./contract");
+
+// Profile used when none is selected
+const DEFAULT_PROFILE = "mainnet";
+
+// Options a profile may set. Directories are relative to the root of the
+// repository.
+const PROFILE_OPTIONS = [
+  "rpcUrl",
+  "chainId",
+  "contract",
+  "blocksPerDay",
+  "dataDir",
+  "recordsDir",
+  "logsDir",
+];
+
+// Profile names end up in file names, so they are kept to safe characters
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Built-in environments. Mainnet keeps the original records and logs
+// directories; the others default to a directory of their own.
+const PROFILES = {
+  mainnet: {
+    rpcUrl: "https://rpc.quai.network",
+    chainId: QUAI_MAINNET_CHAIN_ID,
+    contract: DEFAULT_VESTING_CONTRACT_ADDRESS,
+    blocksPerDay: 17280, // 24 * 60 * 60 / 5
+    recordsDir: "records",
+    logsDir: "logs",
+  },
+  // Orchard testnet, where the contract has to be given with --contract
+  testnet: {
+    rpcUrl: "https://orchard.rpc.quai.network",
+    chainId: 15000,
+    blocksPerDay: 17280,
+  },
+  // A go-quai node started locally, zone 0-0
+  local: {
+    rpcUrl: "http://127.0.0.1:9200",
+    chainId: 1337,
+    blocksPerDay: 17280,
+  },
+};
+
+// Settings of a profile: a built-in one, one defined in the config file, or
+// a built-in one with some settings replaced by the config file. Throws if
+// the name is neither.
+function resolveProfile(name, custom = {}) {
+  if (
+    !Object.prototype.hasOwnProperty.call(PROFILES, name) &&
+    !Object.prototype.hasOwnProperty.call(custom, name)
+  ) {
+    const names = [
+      ...new Set([...Object.keys(PROFILES), ...Object.keys(custom)]),
+    ];
+    throw new Error(
+      `Unknown profile "${name}", expected one of ${names.join(", ")}`
+    );
+  }
+  return {
+    dataDir: "data",
+    recordsDir: `records/${name}`,
+    logsDir: `logs/${name}`,
+    ...PROFILES[name],
+    ...custom[name],
+  };
+}
+
+// Check the "profiles" entry of a config file: an object of profiles by name,
+// each setting only PROFILE_OPTIONS
+function validateProfiles(profiles, file) {
+  if (typeof profiles !== "object" || profiles === null) {
+    throw new Error(`"profiles" in config file ${file} is not an object`);
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid profile name "${name}" in config file ${file}: use lowercase letters, digits, - and _`
+      );
+    }
+    for (const option of Object.keys(profile)) {
+      if (!PROFILE_OPTIONS.includes(option)) {
+        throw new Error(
+          `Unknown option "${option}" in profile "${name}" of config file ${file}, a profile sets ${PROFILE_OPTIONS.join(
+            ", "
+          )}`
+        );
+      }
+    }
+  }
+  return profiles;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  PROFILE_OPTIONS,
+  PROFILES,
+  resolveProfile,
+  validateProfiles,
+};
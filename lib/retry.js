@@ -0,0 +1,42 @@
+const MAX_RETRIES = 10;
+const RPC_RETRY_DELAY = 2000; // 2 seconds between retries
+
+// Generic retry function for RPC calls. Errors for which retryIf returns
+// false are thrown at once, since trying again cannot change them.
+async function withRetry(
+  fn,
+  {
+    maxRetries = MAX_RETRIES,
+    retryDelay = RPC_RETRY_DELAY,
+    log = console.log,
+    retryIf = () => true,
+  } = {}
+) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      lastError = error;
+      if (!retryIf(error)) {
+        throw error;
+      }
+
+      // Log the error but continue retrying
+      log(
+        `RPC call failed (Attempt ${attempt}/${maxRetries}): ${error.message}`
+      );
+
+      // Don't wait on the last attempt
+      if (attempt < maxRetries) {
+        await new Promise((resolve) => setTimeout(resolve, retryDelay));
+      }
+    }
+  }
+
+  // If we've exhausted all retries, throw the last error
+  throw new Error(`Failed after ${maxRetries} attempts: ${lastError.message}`);
+}
+
+module.exports = { MAX_RETRIES, RPC_RETRY_DELAY, withRetry };
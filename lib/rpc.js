@@ -0,0 +1,320 @@
+const { isSizeError } = require("./batching");
+const { FatalError } = require("./supervisor");
+
+// Provider calls that go to the RPC endpoints. Every other property is read
+// from the endpoint in use.
+const RPC_METHODS = [
+  "getNetwork",
+  "getBlockNumber",
+  "getBlock",
+  "getBalance",
+  "getCode",
+  "getFeeData",
+  "estimateGas",
+  "call",
+  "getTransactionCount",
+  "broadcastTransaction",
+  "getTransaction",
+  "getTransactionReceipt",
+  "send",
+];
+
+// Reads of chain state that must agree across --rpc-quorum endpoints. Block
+// numbers and receipts are left out, since endpoints a block apart differ
+// on them without either being wrong.
+const QUORUM_METHODS = ["call", "getBalance"];
+
+// How long a failed endpoint is left out before it is tried again
+const ENDPOINT_COOLDOWN_MS = 30000;
+
+// Most blocks an endpoint may be behind the most recent one at the health
+// check before it is left out
+const MAX_BLOCK_LAG = 10;
+
+// How long the health check waits for an endpoint to answer
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+
+// Errors that are the node's answer to the call itself, such as a revert or
+// a nonce already used. Another endpoint would answer the same, so they are
+// thrown instead of failing over.
+const ANSWER_CODES = [
+  "CALL_EXCEPTION",
+  "INSUFFICIENT_FUNDS",
+  "NONCE_EXPIRED",
+  "REPLACEMENT_UNDERPRICED",
+  "TRANSACTION_REPLACED",
+  "INVALID_ARGUMENT",
+];
+const ANSWER_PATTERN =
+  /revert|nonce too low|nonce has already been used|already known|known transaction|insufficient funds|underpriced/i;
+
+// Whether an error comes from the endpoint, such as a connection failure or
+// a server error, rather than from the call it was asked to make
+function isEndpointError(error) {
+  return (
+    !ANSWER_CODES.includes(error.code) &&
+    !ANSWER_PATTERN.test(error.message) &&
+    !isSizeError(error)
+  );
+}
+
+// Host of an endpoint URL, for logs: the path and query may hold an API key
+function endpointName(url) {
+  try {
+    return new URL(url).host || url;
+  } catch {
+    return url;
+  }
+}
+
+// Key comparing two answers of a quorum read
+function answerKey(value) {
+  return JSON.stringify(value, (key, item) =>
+    typeof item === "bigint" ? item.toString() : item
+  );
+}
+
+// Reject with an error of `message` if promise takes longer than ms
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// A provider spreading calls over several RPC endpoints, each given as
+// { url, provider }. Calls go to the first endpoint in the given order that
+// has not failed recently; an endpoint failing a call is left out for
+// ENDPOINT_COOLDOWN_MS and the call is made on the next one. When every
+// endpoint has failed recently they are all tried again, least recently
+// failed first. Reads in QUORUM_METHODS are answered only once `quorum`
+// endpoints return the same result. log(message, fields) reports failovers
+// and health checks. The returned object can be used wherever a quais
+// provider is, such as by a Wallet or a Contract.
+function createFailoverProvider(
+  endpoints,
+  { quorum = 1, log = () => {} } = {}
+) {
+  if (endpoints.length === 0) {
+    throw new Error("No RPC endpoints given");
+  }
+  if (quorum > endpoints.length) {
+    throw new Error(
+      `An RPC quorum of ${quorum} needs at least ${quorum} endpoints, got ${endpoints.length}`
+    );
+  }
+  const states = endpoints.map(({ url, provider }) => ({
+    url,
+    name: endpointName(url),
+    provider,
+    downUntil: 0,
+  }));
+
+  // Endpoints to try, in order
+  function available() {
+    const now = Date.now();
+    const up = states.filter((state) => state.downUntil <= now);
+    return up.length > 0
+      ? up
+      : [...states].sort((a, b) => a.downUntil - b.downUntil);
+  }
+
+  function markDown(state, reason) {
+    state.downUntil = Date.now() + ENDPOINT_COOLDOWN_MS;
+    log(`RPC endpoint ${state.name} left out: ${reason}`, {
+      level: "warn",
+      event: "rpc_endpoint_down",
+      endpoint: state.name,
+    });
+  }
+
+  // Make the call on one endpoint, marking it down on an endpoint error
+  async function callOn(state, method, args) {
+    try {
+      return await state.provider[method](...args);
+    } catch (error) {
+      if (isEndpointError(error)) {
+        markDown(state, `${method} failed: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async function failover(method, args) {
+    const candidates = available();
+    for (const [index, state] of candidates.entries()) {
+      try {
+        return await callOn(state, method, args);
+      } catch (error) {
+        if (!isEndpointError(error) || index === candidates.length - 1) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // Ask endpoints until `quorum` of them agree, starting with the first
+  // `quorum` at once
+  async function quorumRead(method, args) {
+    const candidates = available();
+    const votes = new Map();
+    let lastError;
+
+    const ask = async (state) => {
+      try {
+        const result = await callOn(state, method, args);
+        const key = answerKey(result);
+        const vote = votes.get(key) || { result, count: 0 };
+        vote.count++;
+        votes.set(key, vote);
+      } catch (error) {
+        if (!isEndpointError(error)) {
+          throw error;
+        }
+        lastError = error;
+      }
+    };
+    const agreed = () =>
+      [...votes.values()].find((vote) => vote.count >= quorum);
+
+    await Promise.all(candidates.slice(0, quorum).map(ask));
+    for (const state of candidates.slice(quorum)) {
+      if (agreed()) {
+        break;
+      }
+      await ask(state);
+    }
+
+    const vote = agreed();
+    if (vote) {
+      return vote.result;
+    }
+    if (votes.size > 1) {
+      log(`RPC endpoints disagree on ${method}`, {
+        level: "warn",
+        event: "rpc_quorum_failed",
+        method,
+        answers: votes.size,
+      });
+    }
+    throw new Error(
+      `No ${quorum} RPC endpoints agree on ${method}: ${votes.size} different answer(s)` +
+        (lastError ? `, last error: ${lastError.message}` : "")
+    );
+  }
+
+  // Health check of every endpoint: its chain ID, block number and response
+  // time. Endpoints that do not answer or are more than MAX_BLOCK_LAG blocks
+  // behind the most recent one are left out. Throws if an endpoint is on
+  // another chain than chainId, or fewer than `quorum` endpoints are healthy.
+  async function checkEndpoints({ chainId } = {}) {
+    const results = await Promise.all(
+      states.map(async (state) => {
+        const started = Date.now();
+        try {
+          const [network, blockNumber] = await withTimeout(
+            Promise.all([
+              state.provider.getNetwork(),
+              state.provider.getBlockNumber(),
+            ]),
+            HEALTH_CHECK_TIMEOUT_MS,
+            `no answer after ${HEALTH_CHECK_TIMEOUT_MS} ms`
+          );
+          return {
+            state,
+            chainId: network.chainId,
+            blockNumber,
+            latencyMs: Date.now() - started,
+          };
+        } catch (error) {
+          return { state, error };
+        }
+      })
+    );
+
+    if (chainId !== undefined) {
+      const wrong = results.filter(
+        (result) => !result.error && result.chainId !== BigInt(chainId)
+      );
+      if (wrong.length > 0) {
+        throw new FatalError(
+          `RPC endpoint(s) on the wrong chain, expected chain ${chainId}: ${wrong
+            .map(({ state, chainId }) => `${state.name} is on chain ${chainId}`)
+            .join(", ")}`
+        );
+      }
+    }
+
+    const latest = Math.max(
+      ...results.filter((result) => !result.error).map((r) => r.blockNumber)
+    );
+    for (const result of results) {
+      const { state } = result;
+      if (result.error) {
+        markDown(state, `health check failed: ${result.error.message}`);
+      } else if (result.blockNumber < latest - MAX_BLOCK_LAG) {
+        markDown(
+          state,
+          `at block ${result.blockNumber}, ${
+            latest - result.blockNumber
+          } blocks behind`
+        );
+      } else {
+        state.downUntil = 0;
+        log(
+          `RPC endpoint ${state.name}: chain ${result.chainId}, block ${result.blockNumber}, ${result.latencyMs} ms`,
+          {
+            event: "rpc_endpoint",
+            endpoint: state.name,
+            blockNumber: result.blockNumber,
+            latencyMs: result.latencyMs,
+          }
+        );
+      }
+    }
+
+    const healthy = states.filter((state) => state.downUntil === 0).length;
+    if (healthy < quorum) {
+      throw new Error(
+        `${healthy} of ${states.length} RPC endpoint(s) are healthy, at least ${quorum} needed`
+      );
+    }
+    return results.map(({ state, error, ...result }) => ({
+      endpoint: state.name,
+      healthy: state.downUntil === 0,
+      ...result,
+      error: error && error.message,
+    }));
+  }
+
+  const extras = { checkEndpoints, endpoints: states };
+  const proxy = new Proxy(states[0].provider, {
+    get(target, name) {
+      if (name === "provider") {
+        return proxy;
+      }
+      if (Object.prototype.hasOwnProperty.call(extras, name)) {
+        return extras[name];
+      }
+      if (RPC_METHODS.includes(name)) {
+        return (...args) =>
+          quorum > 1 && QUORUM_METHODS.includes(name)
+            ? quorumRead(name, args)
+            : failover(name, args);
+      }
+      const { provider } = available()[0];
+      const value = provider[name];
+      return typeof value === "function" ? value.bind(provider) : value;
+    },
+  });
+  return proxy;
+}
+
+module.exports = {
+  ENDPOINT_COOLDOWN_MS,
+  MAX_BLOCK_LAG,
+  isEndpointError,
+  endpointName,
+  createFailoverProvider,
+};
@@ -0,0 +1,52 @@
+const fs = require("fs");
+const { writeFileAtomic } = require("./ledger");
+
+// Open the pre-scan cache of an iteration: whether each wallet had a schedule
+// in the contract when it was last looked up. A schedule is never removed, so
+// a wallet found with one is never looked up again; a wallet found without
+// one is looked up again once its result is older than maxAgeMs. A cache
+// written for another contract is ignored. A read-only cache keeps new
+// results in memory and never writes the file.
+function openScanCache(file, { contract, maxAgeMs, readOnly = false }) {
+  let wallets = {};
+  if (fs.existsSync(file)) {
+    const contents = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (contents.contract.toLowerCase() === contract.toLowerCase()) {
+      wallets = contents.wallets;
+    }
+  }
+
+  // Whether the wallet has a schedule, or undefined to look it up
+  function get(wallet) {
+    const entry = wallets[wallet.toLowerCase()];
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.exists) {
+      return true;
+    }
+    return Date.now() - Date.parse(entry.checkedAt) < maxAgeMs
+      ? false
+      : undefined;
+  }
+
+  function set(wallet, exists) {
+    wallets[wallet.toLowerCase()] = {
+      exists,
+      checkedAt: new Date().toISOString(),
+    };
+  }
+
+  function save() {
+    if (!readOnly) {
+      writeFileAtomic(
+        file,
+        JSON.stringify({ version: 1, contract, wallets }, null, 2) + "\n"
+      );
+    }
+  }
+
+  return { file, get, set, save };
+}
+
+module.exports = { openScanCache };
@@ -0,0 +1,188 @@
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Optional per-beneficiary CSV columns overriding the global vesting parameters
+const CLIFF_DAYS_COLUMN = "cliff_days";
+const DURATION_DAYS_COLUMN = "duration_days";
+const START_OFFSET_DAYS_COLUMN = "start_offset_days";
+
+// Parse an optional whole-number day column, falling back to the global value
+function parseDaysColumn(row, column, fallback) {
+  const raw = row[column];
+  if (raw === undefined || raw === null || String(raw).trim() === "") {
+    return fallback;
+  }
+
+  const value = String(raw).trim();
+  if (!/^\d+$/.test(value)) {
+    throw new Error(
+      `${column} must be a non-negative whole number of days, got "${raw}"`
+    );
+  }
+  return Number(value);
+}
+
+// Resolve the vesting parameters for a CSV row, using the configured
+// cliffDays, durationDays and startOffsetDays for any missing column. A null
+// default stays null, for a parameter set by a calendar date instead.
+function resolveVestingParams(row, defaults) {
+  const cliffDays = parseDaysColumn(row, CLIFF_DAYS_COLUMN, defaults.cliffDays);
+  const durationDays = parseDaysColumn(
+    row,
+    DURATION_DAYS_COLUMN,
+    defaults.durationDays
+  );
+  const startOffsetDays = parseDaysColumn(
+    row,
+    START_OFFSET_DAYS_COLUMN,
+    defaults.startOffsetDays
+  );
+
+  if (durationDays === 0) {
+    throw new Error(`${DURATION_DAYS_COLUMN} must be greater than 0`);
+  }
+  if (cliffDays !== null && durationDays !== null && cliffDays > durationDays) {
+    throw new Error(
+      `${CLIFF_DAYS_COLUMN} (${cliffDays}) cannot exceed ${DURATION_DAYS_COLUMN} (${durationDays})`
+    );
+  }
+
+  return { cliffDays, durationDays, startOffsetDays };
+}
+
+// Timing that converts days to blocks at a fixed number of blocks per day,
+// with start offsets counting from anchorBlock
+function fixedTiming(anchorBlock, blocksPerDay) {
+  return {
+    calibrated: false,
+    blocksPerDay,
+    secondsPerBlock: SECONDS_PER_DAY / blocksPerDay,
+    anchorBlock,
+  };
+}
+
+// Convert a number of days to blocks, at the fixed blocks per day of the
+// timing or at its measured block time once calibrated
+function daysToBlocks(days, timing) {
+  if (!timing.calibrated) {
+    return days * timing.blocksPerDay;
+  }
+  return Math.round((days * SECONDS_PER_DAY) / timing.secondsPerBlock);
+}
+
+// Convert a UTC date to the block expected at that time, from a measured
+// block number, timestamp and block time
+function dateToBlock(date, reference) {
+  const seconds = date.getTime() / 1000 - reference.timestamp;
+  return (
+    reference.blockNumber + Math.round(seconds / reference.secondsPerBlock)
+  );
+}
+
+// Calculate a beneficiary's start, cliff, duration and end blocks from its
+// startOffsetDays, cliffDays and durationDays. A null parameter takes the
+// timing's fixed startBlock, cliffBlock or endBlock instead, as set by a
+// calendar date or an explicit start block. Throws if the blocks are out of
+// order.
+function computeSchedule(beneficiary, timing) {
+  const { startOffsetDays, cliffDays, durationDays } = beneficiary;
+  const startBlock =
+    startOffsetDays === null
+      ? timing.startBlock
+      : timing.anchorBlock + daysToBlocks(startOffsetDays, timing);
+  const cliffBlock =
+    cliffDays === null
+      ? timing.cliffBlock
+      : startBlock + daysToBlocks(cliffDays, timing);
+  const endBlock =
+    durationDays === null
+      ? timing.endBlock
+      : startBlock + daysToBlocks(durationDays, timing);
+
+  // Days and dates can be mixed, so check the resulting order
+  if (endBlock <= startBlock) {
+    throw new Error(
+      `End block ${endBlock} is not after start block ${startBlock}`
+    );
+  }
+  if (cliffBlock < startBlock || cliffBlock > endBlock) {
+    throw new Error(
+      `Cliff block ${cliffBlock} is outside blocks ${startBlock}-${endBlock}`
+    );
+  }
+
+  return {
+    ...beneficiary,
+    startBlock,
+    cliffBlock,
+    durationBlocks: endBlock - startBlock,
+    endBlock,
+  };
+}
+
+// Format a computed schedule as an addBeneficiaries tuple
+function toContractSchedule({
+  wallet,
+  amount,
+  startBlock,
+  durationBlocks,
+  cliffBlock,
+}) {
+  return {
+    beneficiary: wallet,
+    totalAmount: amount,
+    startBlock,
+    durationInBlocks: durationBlocks,
+    cliffBlock,
+  };
+}
+
+// Amount vested at a block, as the contract computes it: nothing before the
+// cliff block, then linear from the start block over the duration, and the
+// whole total from the end block on. Rounds down like the contract.
+function vestedAmount(schedule, blockNumber) {
+  const block = BigInt(blockNumber);
+  const startBlock = BigInt(schedule.startBlock);
+  const durationInBlocks = BigInt(schedule.durationInBlocks);
+
+  if (block < BigInt(schedule.cliffBlock)) {
+    return 0n;
+  }
+  if (block >= startBlock + durationInBlocks) {
+    return schedule.totalAmount;
+  }
+  return (schedule.totalAmount * (block - startBlock)) / durationInBlocks;
+}
+
+// Split a schedule's total into vested, released, claimable and locked wei
+function vestingAmounts(schedule, blockNumber) {
+  const vested = vestedAmount(schedule, blockNumber);
+  const released = schedule.releasedAmount;
+  return {
+    vested,
+    released,
+    claimable: vested > released ? vested - released : 0n,
+    locked: schedule.totalAmount - vested,
+  };
+}
+
+// Format part / total as an exact percentage with two decimals, rounded down
+function formatPercentage(part, total) {
+  if (total === 0n) {
+    return "0.00%";
+  }
+  const hundredths = (part * 10000n) / total;
+  return `${hundredths / 100n}.${String(hundredths % 100n).padStart(2, "0")}%`;
+}
+
+module.exports = {
+  SECONDS_PER_DAY,
+  resolveVestingParams,
+  fixedTiming,
+  daysToBlocks,
+  dateToBlock,
+  computeSchedule,
+  toContractSchedule,
+  vestedAmount,
+  vestingAmounts,
+  formatPercentage,
+};
@@ -0,0 +1,241 @@
+const fs = require("fs");
+const readline = require("readline");
+const quais = require("quais");
+
+// Ways transactions are signed. key and keystore sign and send directly;
+// offline and safe export the transactions instead of sending them.
+const SIGNER_TYPES = ["key", "keystore", "offline", "safe"];
+const EXPORT_SIGNERS = ["offline", "safe"];
+
+// Ask for a passphrase on the terminal without echoing it
+function promptPassphrase(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(
+      new Error(
+        "KEYSTORE_PASSPHRASE is not set and stdin is not a terminal to prompt for it"
+      )
+    );
+  }
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stderr,
+      terminal: true,
+    });
+    process.stderr.write(question);
+    // Typed characters are not echoed
+    rl._writeToOutput = () => {};
+    rl.question("", (answer) => {
+      rl.close();
+      process.stderr.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+// Build the signer selected by config.signer, connected to the provider if
+// given. key takes PRIVATE_KEY from the environment; keystore decrypts the
+// config.keystore file with KEYSTORE_PASSPHRASE from the environment, or a
+// passphrase typed at a prompt. The export signers return null.
+async function loadSigner(
+  config,
+  provider,
+  { env = process.env, prompt = promptPassphrase } = {}
+) {
+  let wallet;
+  if (config.signer === "keystore") {
+    if (!config.keystore) {
+      throw new Error("--signer keystore needs --keystore");
+    }
+    const json = fs.readFileSync(config.keystore, "utf8");
+    if (!quais.isKeystoreJson(json)) {
+      throw new Error(`${config.keystore} is not a JSON keystore`);
+    }
+    const passphrase =
+      env.KEYSTORE_PASSPHRASE !== undefined
+        ? env.KEYSTORE_PASSPHRASE
+        : await prompt(`Passphrase for ${config.keystore}: `);
+    try {
+      wallet = await quais.Wallet.fromEncryptedJson(json, passphrase);
+    } catch (error) {
+      throw new Error(`Could not decrypt ${config.keystore}: ${error.message}`);
+    }
+  } else if (EXPORT_SIGNERS.includes(config.signer)) {
+    return null;
+  } else {
+    if (!env.PRIVATE_KEY) {
+      throw new Error("PRIVATE_KEY is not set");
+    }
+    wallet = new quais.Wallet(env.PRIVATE_KEY);
+  }
+  return provider ? wallet.connect(provider) : wallet;
+}
+
+// Unsigned legacy transaction in the JSON shape signTransaction takes, with
+// amounts as decimal strings
+function unsignedTransaction({
+  chainId,
+  from,
+  to,
+  nonce,
+  gasLimit,
+  gasPrice,
+  data,
+}) {
+  return {
+    type: 0,
+    chainId: chainId.toString(),
+    from,
+    to,
+    nonce,
+    gasLimit: gasLimit.toString(),
+    gasPrice: gasPrice.toString(),
+    value: "0",
+    data,
+  };
+}
+
+// Sign every transaction of an offline export, which must be for the
+// signer's address. Returns the export with signedTransaction filled in.
+async function signExport(exported, signer) {
+  if (signer.address.toLowerCase() !== exported.from.toLowerCase()) {
+    throw new Error(
+      `The export is for ${exported.from}, the signer is ${signer.address}`
+    );
+  }
+
+  const transactions = [];
+  for (const entry of exported.transactions) {
+    transactions.push({
+      ...entry,
+      signedTransaction: await signer.signTransaction(entry.transaction),
+    });
+  }
+  return { ...exported, signedAt: new Date().toISOString(), transactions };
+}
+
+// Raw signed transactions of a file: an export with signedTransaction filled
+// in, a JSON array of raw transactions, or one raw transaction per line
+function readSignedTransactions(file) {
+  const contents = fs.readFileSync(file, "utf8").trim();
+  if (!contents.startsWith("{") && !contents.startsWith("[")) {
+    return contents
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line !== "");
+  }
+
+  const parsed = JSON.parse(contents);
+  const entries = Array.isArray(parsed) ? parsed : parsed.transactions || [];
+  return entries
+    .map((entry) =>
+      typeof entry === "string" ? entry : entry.signedTransaction
+    )
+    .filter(Boolean);
+}
+
+// Match raw signed transactions to the transactions of an offline export by
+// nonce. Every one must be the exported transaction signed by the exported
+// sender, so nothing is broadcast that was not reviewed in the export.
+// Returns [{ raw, tx, entry }] in nonce order, or throws listing every
+// mismatch.
+function matchSignedTransactions(exported, raws) {
+  const byNonce = new Map(
+    exported.transactions.map((entry) => [entry.transaction.nonce, entry])
+  );
+  const matched = [];
+  const errors = [];
+
+  for (const [index, raw] of raws.entries()) {
+    let tx;
+    try {
+      tx = quais.QuaiTransaction.from(raw);
+    } catch (error) {
+      errors.push(
+        `transaction ${index + 1} cannot be parsed: ${error.message}`
+      );
+      continue;
+    }
+
+    const entry = byNonce.get(tx.nonce);
+    const expected = entry && entry.transaction;
+    const problems = [];
+    if (!expected) {
+      problems.push("no exported transaction has its nonce");
+    } else {
+      if (!tx.from || tx.from.toLowerCase() !== exported.from.toLowerCase()) {
+        problems.push(`signed by ${tx.from}, not ${exported.from}`);
+      }
+      if (!tx.to || tx.to.toLowerCase() !== expected.to.toLowerCase()) {
+        problems.push(`sent to ${tx.to}, not ${expected.to}`);
+      }
+      if (tx.data.toLowerCase() !== expected.data.toLowerCase()) {
+        problems.push("calldata differs from the export");
+      }
+      if (tx.chainId.toString() !== expected.chainId) {
+        problems.push(`chain ID ${tx.chainId}, not ${expected.chainId}`);
+      }
+      if (matched.some((other) => other.tx.nonce === tx.nonce)) {
+        problems.push("nonce given twice");
+      }
+    }
+
+    if (problems.length > 0) {
+      errors.push(`transaction at nonce ${tx.nonce}: ${problems.join(", ")}`);
+    } else {
+      matched.push({ raw, tx, entry });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `${
+        errors.length
+      } signed transaction(s) do not match the export, nothing was broadcast:\n  ${errors.join(
+        "\n  "
+      )}`
+    );
+  }
+  return matched.sort((a, b) => a.tx.nonce - b.tx.nonce);
+}
+
+// Batch of calls in the JSON format of the Safe Transaction Builder, to be
+// proposed from the Safe's web interface
+function safeTransactionBatch({
+  chainId,
+  safeAddress,
+  name,
+  description,
+  transactions,
+}) {
+  return {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      createdFromSafeAddress: safeAddress,
+    },
+    transactions: transactions.map(({ to, data }) => ({
+      to,
+      value: "0",
+      data,
+      contractMethod: null,
+      contractInputsValues: null,
+    })),
+  };
+}
+
+module.exports = {
+  SIGNER_TYPES,
+  EXPORT_SIGNERS,
+  promptPassphrase,
+  loadSigner,
+  unsignedTransaction,
+  signExport,
+  readSignedTransactions,
+  matchSignedTransactions,
+  safeTransactionBatch,
+};
@@ -0,0 +1,57 @@
+const os = require("os");
+
+// Exit codes of the commands: every wallet processed, an error stopped the
+// run, or the run finished with wallets failed, pending or left to a later
+// run. An interrupted run exits with 128 plus the signal number, as a shell
+// reports a process killed by that signal.
+const EXIT_CODES = { success: 0, error: 1, incomplete: 2 };
+
+// Exit code of a run stopped by a signal, such as 130 for SIGINT
+function signalExitCode(signal) {
+  return 128 + os.constants.signals[signal];
+}
+
+// An error that a restart cannot fix, such as a failed pre-flight check or
+// options that do not match the pinned schedule, so the run stops at once
+class FatalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FatalError";
+  }
+}
+
+// Run fn, restarting it after an error at most maxRestarts times. The first
+// restart waits delayMs and each next one twice as long as the one before.
+// FatalErrors, and errors after shouldStop() turns true, are thrown at once.
+async function runWithRestarts(
+  fn,
+  { maxRestarts, delayMs, shouldStop = () => false, log = console.log }
+) {
+  for (let restarts = 0; ; restarts++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (
+        error instanceof FatalError ||
+        restarts >= maxRestarts ||
+        shouldStop()
+      ) {
+        throw error;
+      }
+
+      const delay = delayMs * 2 ** restarts;
+      log(
+        `Restarting in ${delay} ms (restart ${
+          restarts + 1
+        }/${maxRestarts}) after: ${error.message}`,
+        { restart: restarts + 1, delayMs: delay }
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      if (shouldStop()) {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = { EXIT_CODES, signalExitCode, FatalError, runWithRestarts };
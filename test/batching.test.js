@@ -0,0 +1,142 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isSizeError,
+  isRevertError,
+  gasBudget,
+  fitBatches,
+} = require("../lib/batching");
+
+// Estimate of 100 gas per item plus 50, failing like a node above `limit`
+function estimator(limit = Infinity) {
+  const calls = [];
+  const estimate = async (batch) => {
+    calls.push(batch.length);
+    const gas = 50 + 100 * batch.length;
+    if (gas > limit) {
+      throw new Error("exceeds block gas limit");
+    }
+    return BigInt(gas);
+  };
+  return { calls, estimate };
+}
+
+const items = (count) => Array.from({ length: count }, (_, index) => index);
+
+test("gasBudget takes the target share of the block gas limit", () => {
+  assert.equal(gasBudget(30000000n, 50), 15000000n);
+  assert.equal(gasBudget(1001, 10), 100n);
+});
+
+test("isSizeError tells size errors from other failures", () => {
+  assert.equal(isSizeError(new Error("out of gas")), true);
+  assert.equal(
+    isSizeError(new Error("Failed after 2 attempts: exceeds block gas limit")),
+    true
+  );
+  assert.equal(isSizeError(new Error("execution reverted")), false);
+});
+
+test("isRevertError tells reverts from other failures", () => {
+  const revert = new Error("transaction execution reverted");
+  revert.code = "CALL_EXCEPTION";
+  assert.equal(isRevertError(revert), true);
+  assert.equal(isRevertError(new Error("execution reverted: exists")), true);
+  assert.equal(isRevertError(new Error("connection reset")), false);
+});
+
+test("fitBatches shrinks a batch over the budget and keeps the fitted size", async () => {
+  const { calls, estimate } = estimator();
+
+  const batches = await fitBatches(items(10), {
+    maxSize: 8,
+    budget: 450n,
+    estimate,
+  });
+
+  assert.deepEqual(
+    batches.map((batch) => batch.items),
+    [
+      [0, 1, 2, 3],
+      [4, 5, 6, 7],
+      [8, 9],
+    ]
+  );
+  assert.deepEqual(
+    batches.map((batch) => batch.gas),
+    [450n, 450n, 250n]
+  );
+  // 8 is over the budget and shrinks to 4; later batches start at 4
+  assert.deepEqual(calls, [8, 4, 4, 2]);
+});
+
+test("fitBatches halves a batch whose estimate fails with a size error", async () => {
+  const { calls, estimate } = estimator(350);
+
+  const batches = await fitBatches(items(5), {
+    maxSize: 5,
+    budget: 1000n,
+    estimate,
+  });
+
+  assert.deepEqual(
+    batches.map((batch) => batch.items.length),
+    [3, 2]
+  );
+  assert.deepEqual(calls, [5, 3, 2]);
+});
+
+test("fitBatches sends an item over the budget alone and passes other errors on", async () => {
+  const { estimate } = estimator();
+  const batches = await fitBatches(items(2), {
+    maxSize: 2,
+    budget: 100n,
+    estimate,
+  });
+  assert.deepEqual(
+    batches.map((batch) => [batch.items.length, batch.gas]),
+    [
+      [1, 150n],
+      [1, 150n],
+    ]
+  );
+
+  await assert.rejects(
+    fitBatches(items(3), {
+      maxSize: 3,
+      budget: 1000n,
+      estimate: async () => {
+        throw new Error("execution reverted");
+      },
+    }),
+    /execution reverted/
+  );
+});
+
+test("fitBatches leaves out the items whose estimate reverts on their own", async () => {
+  const calls = [];
+  const rejected = [];
+  const batches = await fitBatches(items(8), {
+    maxSize: 4,
+    budget: 1000n,
+    estimate: async (batch) => {
+      calls.push(batch);
+      if (batch.includes(1) || batch.includes(6)) {
+        throw new Error("execution reverted: beneficiary exists");
+      }
+      return BigInt(50 + 100 * batch.length);
+    },
+    reject: (item, error) => rejected.push([item, error.message]),
+  });
+
+  assert.deepEqual(rejected, [
+    [1, "execution reverted: beneficiary exists"],
+    [6, "execution reverted: beneficiary exists"],
+  ]);
+  // Bisecting for a revert does not shrink the later batches
+  assert.deepEqual(
+    batches.map((batch) => batch.items),
+    [[0], [2, 3, 4, 5], [7]]
+  );
+  assert.equal(calls.length, 10);
+});
@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const check = require("../commands/check");
+const { MockChain } = require("./helpers/chain");
+const { WALLETS, createWorkspace, testConfig } = require("./helpers/workspace");
+
+let workspace;
+
+beforeEach(() => {
+  workspace = createWorkspace();
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  workspace.remove();
+});
+
+// Run the check command against the chain
+function runCheck(chain, flags = {}) {
+  const { config, sources } = testConfig(check, workspace, flags);
+  return check.run(config, sources, {
+    provider: chain.provider,
+    vestingContract: chain.contract,
+  });
+}
+
+// Rows of a JSON results file
+function readResults(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+test("reports each address with or without a schedule, once, in the order given", async () => {
+  const chain = new MockChain();
+  chain.addSchedule(WALLETS[0], 1000n);
+  const addressFile = path.join(workspace.dir, "addresses.csv");
+  fs.writeFileSync(
+    addressFile,
+    `wallet,total\n${WALLETS[1]},1\nnot-an-address,1\n`
+  );
+  const output = path.join(workspace.dir, "check.json");
+
+  const result = await runCheck(chain, {
+    addresses: [WALLETS[0], WALLETS[1].toLowerCase()],
+    addressFile,
+    format: "json",
+    output,
+  });
+
+  assert.equal(result, undefined);
+  const rows = readResults(output);
+  assert.deepEqual(
+    rows.map(({ address, status, exists }) => [address, status, exists]),
+    [
+      [WALLETS[0], "exists", true],
+      [WALLETS[1].toLowerCase(), "absent", false],
+      ["not-an-address", "invalid", null],
+    ]
+  );
+  assert.equal(rows[0].totalAmountWei, "1000");
+  assert.equal(rows[0].currentBlock, chain.blockNumber);
+});
+
+test("reports a failed lookup as unknown and exits 2", async () => {
+  const chain = new MockChain();
+  const beneficiaries = chain.contract.beneficiaries;
+  chain.contract.beneficiaries = async (wallet) => {
+    if (wallet === WALLETS[1]) {
+      throw new Error("upstream timeout");
+    }
+    return beneficiaries(wallet);
+  };
+  const output = path.join(workspace.dir, "check.json");
+
+  const result = await runCheck(chain, {
+    addresses: [WALLETS[0], WALLETS[1]],
+    format: "json",
+    output,
+  });
+
+  assert.equal(result.exitCode, 2);
+  const [absent, unknown] = readResults(output);
+  assert.equal(absent.status, "absent");
+  assert.equal(unknown.status, "unknown");
+  assert.equal(unknown.exists, null);
+  assert.equal(unknown.error, "Failed after 2 attempts: upstream timeout");
+});
+
+test("fails instead of exiting 0 when the results cannot be written", async () => {
+  const chain = new MockChain();
+
+  await assert.rejects(
+    runCheck(chain, {
+      addresses: [WALLETS[0]],
+      format: "csv",
+      output: path.join(workspace.dir, "missing", "check.csv"),
+    }),
+    /ENOENT/
+  );
+});
@@ -0,0 +1,151 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { VestingClient, splitIntoBatches } = require("../lib/client");
+const { fixedTiming, computeSchedule } = require("../lib/schedule");
+const { MockChain } = require("./helpers/chain");
+const { WALLETS } = require("./helpers/workspace");
+
+// Client on the in-memory chain, with a stand-in signer
+function createClient(chain, options = {}) {
+  return new VestingClient({
+    provider: chain.provider,
+    signer: { address: WALLETS[5] },
+    vestingContract: chain.contract,
+    retryPolicy: { maxRetries: 2, retryDelay: 1, log: () => {} },
+    ...options,
+  });
+}
+
+// Schedules of the given wallets starting at the chain head
+function schedulesFor(chain, wallets) {
+  const timing = fixedTiming(chain.blockNumber, 100);
+  return wallets.map((wallet) =>
+    computeSchedule(
+      { wallet, amount: 7n, startOffsetDays: 0, cliffDays: 1, durationDays: 2 },
+      timing
+    )
+  );
+}
+
+test("splitIntoBatches keeps the order and the last partial batch", () => {
+  assert.deepEqual(splitIntoBatches([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+});
+
+test("getSchedule normalizes the contract's tuple and retries RPC errors", async () => {
+  const chain = new MockChain();
+  chain.addSchedule(WALLETS[0], 10n);
+  chain.failNext("beneficiaries", "request timeout");
+  const client = createClient(chain);
+
+  const schedule = await client.getSchedule(WALLETS[0]);
+  assert.equal(schedule.exists, true);
+  assert.equal(schedule.totalAmount, 10n);
+  assert.equal(schedule.endBlock, schedule.startBlock + 1000);
+  assert.equal(await client.hasSchedule(WALLETS[1]), false);
+});
+
+test("checkSchedule tells a failed lookup apart from a missing schedule", async () => {
+  const chain = new MockChain();
+  chain.addSchedule(WALLETS[0], 10n);
+  const client = createClient(chain);
+
+  assert.equal((await client.checkSchedule(WALLETS[0])).status, "exists");
+  assert.equal((await client.checkSchedule(WALLETS[1])).status, "absent");
+
+  chain.failNext("beneficiaries", "request timeout", 2);
+  const unknown = await client.checkSchedule(WALLETS[0]);
+  assert.equal(unknown.status, "unknown");
+  assert.match(unknown.error.message, /request timeout/);
+});
+
+test("getSchedule gives up after the retry policy's attempts", async () => {
+  const chain = new MockChain();
+  chain.failNext("beneficiaries", "request timeout", 2);
+
+  await assert.rejects(
+    createClient(chain).getSchedule(WALLETS[0]),
+    /Failed after 2 attempts: request timeout/
+  );
+});
+
+test("addBeneficiariesInBatches sends one transaction per batch and reports each", async () => {
+  const chain = new MockChain();
+  const client = createClient(chain, { batchSize: 2 });
+  chain.onNextSends("mine", "revert");
+  const reported = [];
+
+  const results = await client.addBeneficiariesInBatches(
+    schedulesFor(chain, WALLETS.slice(0, 3)),
+    { onBatch: (result) => reported.push(result.status) }
+  );
+
+  assert.deepEqual(reported, ["confirmed", "reverted"]);
+  assert.deepEqual(
+    results.map(({ schedules }) => schedules.length),
+    [2, 1]
+  );
+  const schedules = await client.getSchedules(WALLETS.slice(0, 3));
+  assert.deepEqual(
+    schedules.map(({ exists }) => exists),
+    [true, true, false]
+  );
+});
+
+test("estimateAddBeneficiaries does not retry a batch too large for a block", async () => {
+  const chain = new MockChain({ gasLimit: 100000n });
+  const client = createClient(chain);
+
+  assert.equal(await client.getBlockGasLimit(), 100000n);
+  await assert.rejects(
+    client.estimateAddBeneficiaries(schedulesFor(chain, WALLETS.slice(0, 2))),
+    /^Error: gas required exceeds allowance/
+  );
+  // The next call is not a retry of the first
+  chain.failNext("estimateGas", "request timeout");
+  assert.equal(
+    await client.estimateAddBeneficiaries(
+      schedulesFor(chain, WALLETS.slice(0, 1))
+    ),
+    71000n
+  );
+});
+
+test("addBeneficiaries needs a signer", async () => {
+  const chain = new MockChain();
+  const client = createClient(chain, { signer: undefined });
+
+  await assert.rejects(
+    client.addBeneficiaries(schedulesFor(chain, [WALLETS[0]])),
+    /needs a signer/
+  );
+});
+
+test("assertDeployment rejects another chain, a missing contract and another contract", async () => {
+  const chain = new MockChain();
+  const client = createClient(chain);
+  await client.assertDeployment(9);
+
+  await assert.rejects(
+    client.assertDeployment(15000),
+    /The RPC endpoint is on chain 9, not chain 15000/
+  );
+
+  chain.code = "0x";
+  await assert.rejects(
+    client.assertDeployment(9),
+    /No contract at 0x0045edcE84e8E85e1E4861f082e5F5A0a50A7317 on chain 9/
+  );
+
+  chain.code = "0x6080604052";
+  chain.contract.beneficiaries = async () => {
+    const error = new Error("could not decode result data");
+    error.code = "BAD_DATA";
+    throw error;
+  };
+  await assert.rejects(
+    client.assertDeployment(9),
+    (error) =>
+      error.name === "FatalError" &&
+      /does not answer beneficiaries\(\)/.test(error.message)
+  );
+});
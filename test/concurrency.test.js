@@ -0,0 +1,44 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { mapWithConcurrency, createRateLimiter } = require("../lib/concurrency");
+
+test("mapWithConcurrency keeps the order with at most limit calls in flight", async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    inFlight--;
+    return ms * 2;
+  });
+
+  assert.deepEqual(results, [60, 20, 40, 10]);
+  assert.equal(maxInFlight, 2);
+});
+
+test("createRateLimiter lets a burst through and then spaces the calls", async () => {
+  const acquire = createRateLimiter(50, { burst: 2 });
+  const startedAt = Date.now();
+  const times = [];
+
+  await Promise.all(
+    Array.from({ length: 5 }, () =>
+      acquire().then(() => times.push(Date.now() - startedAt))
+    )
+  );
+
+  // Two at once, then one every 20 ms
+  assert.ok(times[1] < 15, `burst took ${times[1]} ms`);
+  assert.ok(times[4] >= 55, `five calls took ${times[4]} ms`);
+});
+
+test("createRateLimiter does not limit at a rate of 0", async () => {
+  const acquire = createRateLimiter(0);
+  const startedAt = Date.now();
+  for (let i = 0; i < 100; i++) {
+    await acquire();
+  }
+  assert.ok(Date.now() - startedAt < 50);
+});
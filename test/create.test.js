@@ -0,0 +1,783 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const create = require("../commands/create");
+const { DEFAULT_VESTING_CONTRACT_ADDRESS } = require("../lib/contract");
+const { MockChain, GAS_PER_BENEFICIARY, BASE_GAS } = require("./helpers/chain");
+const {
+  TEST_PRIVATE_KEY,
+  WALLETS,
+  createWorkspace,
+  testConfig,
+} = require("./helpers/workspace");
+
+let workspace;
+
+beforeEach(() => {
+  process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+  workspace = createWorkspace();
+  // The command logs every step to the console
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  workspace.remove();
+});
+
+// Run the create command against the in-memory chain
+function runCreate(chain, flags = {}) {
+  const { config, sources } = testConfig(create, workspace, {
+    iteration: 1,
+    batchSize: 2,
+    ...flags,
+  });
+  return create.run(config, sources, {
+    provider: chain.provider,
+    vestingContract: chain.contract,
+  });
+}
+
+// Input rows giving each wallet a distinct amount
+function inputRows(wallets) {
+  return wallets.map((wallet, index) => [wallet, String((index + 1) * 1000)]);
+}
+
+// Ledger states by wallet, in the order of the wallets
+function ledgerStates(wallets) {
+  const ledger = workspace.ledger(1);
+  return wallets.map((wallet) => ledger[wallet.toLowerCase()].state);
+}
+
+test("creates every schedule in batches of the batch size", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 5);
+  workspace.writeInput(1, inputRows(wallets));
+
+  await runCreate(chain);
+
+  assert.equal(chain.sends.length, 3);
+  assert.deepEqual(
+    chain.sends.map((tx) => tx.schedules.length),
+    [2, 2, 1]
+  );
+  wallets.forEach((wallet, index) => {
+    assert.equal(
+      chain.scheduleOf(wallet).totalAmount,
+      BigInt((index + 1) * 1000)
+    );
+  });
+  assert.deepEqual(ledgerStates(wallets), Array(5).fill("confirmed"));
+  assert.deepEqual(
+    workspace.records(1).map((row) => row.status),
+    Array(5).fill("success")
+  );
+});
+
+test("resumes after a crash without sending a batch twice", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 4);
+  workspace.writeInput(1, inputRows(wallets));
+
+  // The first batch is mined, then the node goes away before its receipt is
+  // read, so the run fails with the batch only known as sent
+  chain.onNextSends("crash");
+  await assert.rejects(runCreate(chain), /ECONNREFUSED/);
+  assert.equal(chain.sends.length, 1);
+  assert.deepEqual(ledgerStates(wallets.slice(0, 2)), ["sent", "sent"]);
+
+  chain.down = false;
+  await runCreate(chain);
+
+  // The crashed batch is reconciled from its receipt, only the rest is sent
+  assert.equal(chain.sends.length, 2);
+  assert.deepEqual(
+    chain.sends[1].schedules.map(({ beneficiary }) => beneficiary),
+    wallets.slice(2)
+  );
+  assert.deepEqual(ledgerStates(wallets), Array(4).fill("confirmed"));
+  assert.equal(
+    workspace.ledger(1)[wallets[0].toLowerCase()].txHash,
+    chain.sends[0].hash
+  );
+});
+
+test("a resumed run keeps the schedule blocks of the first run", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 4);
+  workspace.writeInput(1, inputRows(wallets));
+
+  chain.onNextSends("crash");
+  await assert.rejects(runCreate(chain));
+  chain.down = false;
+  chain.blockNumber += 500;
+  await runCreate(chain);
+
+  const startBlocks = wallets.map(
+    (wallet) => chain.scheduleOf(wallet).startBlock
+  );
+  assert.deepEqual(startBlocks, Array(4).fill(startBlocks[0]));
+});
+
+test("a resumed run with other day options stops instead of mixing blocks", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 4);
+  workspace.writeInput(1, inputRows(wallets));
+  const days = { startOffsetDays: 14, cliffDays: 90 };
+
+  chain.onNextSends("crash");
+  await assert.rejects(runCreate(chain, days));
+  chain.down = false;
+
+  await assert.rejects(
+    runCreate(chain),
+    /pinned with --start-offset-days 14, --cliff-days 90\. Run with the same values/
+  );
+  assert.equal(chain.sends.length, 1);
+
+  await runCreate(chain, days);
+  const schedules = wallets.map((wallet) => chain.scheduleOf(wallet));
+  for (const schedule of schedules) {
+    assert.equal(schedule.startBlock, schedules[0].startBlock);
+    assert.equal(schedule.cliffBlock, schedules[0].startBlock + 90n * 17280n);
+  }
+});
+
+test("converts calendar dates to blocks with the measured block time", async () => {
+  // Ten seconds per block, half the rate --blocks-per-day assumes
+  const chain = new MockChain({ secondsPerBlock: 10 });
+  const wallets = WALLETS.slice(0, 2);
+  workspace.writeInput(1, inputRows(wallets));
+  const now = chain.block(chain.blockNumber).woHeader.timestamp;
+  // Dates to the second, the finest --start-date takes
+  const daysFromNow = (days) =>
+    new Date((now + days * 86400) * 1000).toISOString().replace(".000", "");
+
+  await runCreate(chain, {
+    startDate: daysFromNow(10),
+    cliffDate: daysFromNow(40),
+    endDate: daysFromNow(100),
+  });
+
+  for (const wallet of wallets) {
+    const schedule = chain.scheduleOf(wallet);
+    assert.equal(schedule.startBlock, 1000n + 10n * 8640n);
+    assert.equal(schedule.cliffBlock, 1000n + 40n * 8640n);
+    assert.equal(schedule.durationInBlocks, 90n * 8640n);
+  }
+  assert.deepEqual(
+    workspace.records(1).map((row) => row.seconds_per_block),
+    ["10", "10"]
+  );
+});
+
+test("records a batch that keeps reverting as failed and retries it on the next run", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 6);
+  workspace.writeInput(1, inputRows(wallets));
+
+  // The second batch reverts on both attempts, the others are mined
+  chain.onNextSends("mine", "revert", "revert", "mine");
+  await runCreate(chain);
+
+  assert.deepEqual(ledgerStates(wallets), [
+    "confirmed",
+    "confirmed",
+    "failed",
+    "failed",
+    "confirmed",
+    "confirmed",
+  ]);
+  assert.equal(chain.scheduleOf(wallets[2]), undefined);
+  assert.deepEqual(
+    workspace
+      .records(1)
+      .filter((row) => row.status === "failed")
+      .map((row) => row.wallet),
+    wallets.slice(2, 4)
+  );
+  // Reverted transactions use up their nonces
+  assert.deepEqual(
+    chain.sends.map((tx) => tx.nonce),
+    [0, 1, 2, 3]
+  );
+
+  await runCreate(chain);
+
+  assert.equal(chain.sends.length, 5);
+  assert.deepEqual(
+    chain.sends[4].schedules.map(({ beneficiary }) => beneficiary),
+    wallets.slice(2, 4)
+  );
+  assert.deepEqual(ledgerStates(wallets), Array(6).fill("confirmed"));
+});
+
+test("re-sends a dropped transaction at the same nonce", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 2);
+  workspace.writeInput(1, inputRows(wallets));
+
+  chain.onNextSends("drop");
+  await runCreate(chain);
+
+  assert.equal(chain.sends.length, 2);
+  assert.deepEqual(
+    chain.sends.map((tx) => tx.nonce),
+    [0, 0]
+  );
+  assert.equal(chain.confirmedSends().length, 1);
+  assert.deepEqual(ledgerStates(wallets), ["confirmed", "confirmed"]);
+});
+
+test("replaces a stuck transaction with a higher gas price", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 2);
+  workspace.writeInput(1, inputRows(wallets));
+
+  chain.onNextSends("stuck");
+  await runCreate(chain, { feeBumpPercent: 20 });
+
+  assert.equal(chain.sends.length, 2);
+  assert.equal(chain.sends[0].state, "replaced");
+  assert.equal(chain.sends[1].nonce, 0);
+  assert.equal(chain.sends[1].gasPrice, (chain.gasPrice * 120n) / 100n);
+  const entry = workspace.ledger(1)[wallets[0].toLowerCase()];
+  assert.equal(entry.state, "confirmed");
+  assert.equal(entry.txHash, chain.sends[1].hash);
+});
+
+test("takes a stuck transaction mined before its replacement as the batch", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 2);
+  workspace.writeInput(1, inputRows(wallets));
+
+  // Not mined within the timeout, then mined as the replacement is sent
+  chain.onNextSends("minedOnReplace");
+  await runCreate(chain);
+
+  assert.equal(chain.sends.length, 1);
+  assert.equal(chain.confirmedSends().length, 1);
+  const entry = workspace.ledger(1)[wallets[0].toLowerCase()];
+  assert.equal(entry.state, "confirmed");
+  assert.equal(entry.txHash, chain.sends[0].hash);
+});
+
+test("leaves a transaction still pending after the replacements to the next run", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 4);
+  workspace.writeInput(1, inputRows(wallets));
+
+  chain.onNextSends("stuck");
+  await runCreate(chain, { maxReplacements: 0 });
+
+  assert.deepEqual(ledgerStates(wallets), [
+    "sent",
+    "sent",
+    "confirmed",
+    "confirmed",
+  ]);
+  assert.equal(chain.sends[1].nonce, 1);
+
+  // Mined late: the next run confirms it from its receipt without re-sending
+  chain.mineStuck();
+  await runCreate(chain, { maxReplacements: 0 });
+
+  assert.equal(chain.sends.length, 2);
+  assert.deepEqual(ledgerStates(wallets), Array(4).fill("confirmed"));
+});
+
+test("moves past the nonce of a stuck transaction whose replacements keep failing", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 4);
+  workspace.writeInput(1, inputRows(wallets));
+
+  // Every replacement of the stuck first batch is rejected
+  chain.onNextSends("stuck");
+  const broadcast = chain.broadcast.bind(chain);
+  chain.broadcast = (schedules, overrides) => {
+    if (overrides.nonce === 0 && chain.sends.length > 0) {
+      throw new Error("replacement transaction underpriced");
+    }
+    return broadcast(schedules, overrides);
+  };
+  const summary = await runCreate(chain);
+
+  assert.equal(summary.exitCode, 2);
+  assert.equal(chain.sends.length, 2);
+  assert.equal(chain.sends[0].state, "pending");
+  assert.equal(chain.sends[1].nonce, 1);
+  assert.deepEqual(ledgerStates(wallets), [
+    "sent",
+    "sent",
+    "confirmed",
+    "confirmed",
+  ]);
+  assert.deepEqual(
+    workspace
+      .records(1)
+      .slice(0, 2)
+      .map((row) => [row.status, row.tx_hash]),
+    Array(2).fill(["pending", chain.sends[0].hash])
+  );
+
+  chain.mineStuck();
+  await runCreate(chain);
+
+  assert.equal(chain.sends.length, 2);
+  assert.deepEqual(ledgerStates(wallets), Array(4).fill("confirmed"));
+});
+
+test("retries RPC errors and timeouts of reads", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 2);
+  workspace.writeInput(1, inputRows(wallets));
+
+  chain.failNext("beneficiaries", "request timeout");
+  chain.failNext("getTransactionReceipt", "connection reset");
+  chain.failNext("getFeeData", "request timeout");
+  await runCreate(chain);
+
+  assert.equal(chain.sends.length, 1);
+  assert.deepEqual(ledgerStates(wallets), ["confirmed", "confirmed"]);
+});
+
+test("retries a send rejected by the node", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 2);
+  workspace.writeInput(1, inputRows(wallets));
+
+  chain.failNext("addBeneficiaries", "internal error");
+  await runCreate(chain);
+
+  assert.equal(chain.sends.length, 1);
+  assert.deepEqual(ledgerStates(wallets), ["confirmed", "confirmed"]);
+});
+
+test("sizes batches to the gas target of the block gas limit", async () => {
+  // Half of the block gas limit fits exactly two beneficiaries
+  const chain = new MockChain({
+    gasLimit: 2n * (BASE_GAS + 2n * GAS_PER_BENEFICIARY),
+  });
+  const wallets = WALLETS.slice(0, 5);
+  workspace.writeInput(1, inputRows(wallets));
+
+  await runCreate(chain, { batchSize: undefined, gasTargetPercent: 50 });
+
+  assert.deepEqual(
+    chain.sends.map((tx) => tx.schedules.length),
+    [2, 2, 1]
+  );
+  assert.deepEqual(ledgerStates(wallets), Array(5).fill("confirmed"));
+});
+
+test("splits a batch that runs out of gas and sends the halves", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 4);
+  workspace.writeInput(1, inputRows(wallets));
+
+  chain.onNextSends("outOfGas");
+  const summary = await runCreate(chain, { batchSize: 4 });
+
+  assert.deepEqual(
+    chain.sends.map((tx) => [tx.schedules.length, tx.nonce, tx.status]),
+    [
+      [4, 0, 0],
+      [2, 1, 1],
+      [2, 2, 1],
+    ]
+  );
+  assert.deepEqual(ledgerStates(wallets), Array(4).fill("confirmed"));
+  assert.equal(summary.exitCode, 0);
+  const split = workspace.log(1).filter(({ event }) => event === "batch_split");
+  assert.deepEqual(
+    split.map(({ batch }) => batch),
+    [1]
+  );
+});
+
+test("splits a batch the node rejects as too large without using its nonce", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 3);
+  workspace.writeInput(1, inputRows(wallets));
+
+  chain.failNext("addBeneficiaries", "exceeds block gas limit");
+  await runCreate(chain, { batchSize: 3 });
+
+  assert.deepEqual(
+    chain.sends.map((tx) => [tx.schedules.length, tx.nonce]),
+    [
+      [2, 0],
+      [1, 1],
+    ]
+  );
+  assert.deepEqual(ledgerStates(wallets), Array(3).fill("confirmed"));
+});
+
+test("leaves out a beneficiary the contract rejects and sends the rest", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 4);
+  workspace.writeInput(1, inputRows(wallets));
+
+  // Created after the pre-scan, so the estimate of its batch reverts
+  const estimateGas = chain.contract.addBeneficiaries.estimateGas;
+  chain.contract.addBeneficiaries.estimateGas = async (schedules) => {
+    if (schedules.some(({ beneficiary }) => beneficiary === wallets[1])) {
+      const error = new Error("execution reverted: beneficiary exists");
+      error.code = "CALL_EXCEPTION";
+      throw error;
+    }
+    return estimateGas(schedules);
+  };
+  const summary = await runCreate(chain, { batchSize: 4 });
+
+  assert.equal(summary.exitCode, 2);
+  assert.deepEqual(
+    chain.sends.map((tx) => tx.schedules.map(({ beneficiary }) => beneficiary)),
+    [[wallets[0]], [wallets[2], wallets[3]]]
+  );
+  assert.deepEqual(ledgerStates(wallets), [
+    "confirmed",
+    "failed",
+    "confirmed",
+    "confirmed",
+  ]);
+  assert.equal(
+    workspace.ledger(1)[wallets[1].toLowerCase()].reason,
+    "execution reverted: beneficiary exists"
+  );
+});
+
+test("skips wallets that already have a schedule in the contract", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 3);
+  workspace.writeInput(1, inputRows(wallets));
+  chain.addSchedule(wallets[1], 5n);
+
+  await runCreate(chain);
+
+  assert.deepEqual(
+    chain.sends.flatMap((tx) =>
+      tx.schedules.map(({ beneficiary }) => beneficiary)
+    ),
+    [wallets[0], wallets[2]]
+  );
+  assert.equal(chain.scheduleOf(wallets[1]).totalAmount, 5n);
+  assert.deepEqual(ledgerStates(wallets), [
+    "confirmed",
+    "skipped",
+    "confirmed",
+  ]);
+});
+
+test("saves the ledger once for all wallets skipped by the pre-scan", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 5);
+  workspace.writeInput(1, inputRows(wallets));
+  for (const wallet of wallets) {
+    chain.addSchedule(wallet, 5n);
+  }
+
+  const stateFile = path.join(
+    workspace.recordsDir,
+    "vesting_state_mainnet1.json"
+  );
+  const renameSync = fs.renameSync;
+  let saves = 0;
+  mock.method(fs, "renameSync", (from, to) => {
+    if (to === stateFile) {
+      saves++;
+    }
+    return renameSync(from, to);
+  });
+
+  await runCreate(chain);
+
+  // One save pinning the timing, one for the skipped wallets
+  assert.equal(saves, 2);
+  assert.equal(chain.sends.length, 0);
+  assert.deepEqual(ledgerStates(wallets), Array(5).fill("skipped"));
+});
+
+test("rejects duplicate wallets in any letter case before sending", async () => {
+  const chain = new MockChain();
+  workspace.writeInput(1, [
+    [WALLETS[0], "1000"],
+    [WALLETS[1], "2000"],
+    [WALLETS[0].toLowerCase(), "3000"],
+  ]);
+
+  await assert.rejects(runCreate(chain), /1 error\(s\) in .*nothing was sent/);
+  assert.equal(chain.sends.length, 0);
+});
+
+test("merges duplicate wallets when asked to", async () => {
+  const chain = new MockChain();
+  workspace.writeInput(1, [
+    [WALLETS[0], "1000"],
+    [WALLETS[1], "2000"],
+    [WALLETS[0].toLowerCase(), "3000"],
+  ]);
+
+  await runCreate(chain, { mergeDuplicates: true });
+
+  assert.equal(chain.sends.length, 1);
+  assert.equal(chain.scheduleOf(WALLETS[0]).totalAmount, 4000n);
+  assert.equal(chain.scheduleOf(WALLETS[1]).totalAmount, 2000n);
+});
+
+test("a dry run plans the batches without sending", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 3);
+  workspace.writeInput(1, inputRows(wallets));
+
+  await runCreate(chain, { dryRun: true });
+
+  assert.equal(chain.sends.length, 0);
+  assert.equal(chain.schedules.size, 0);
+});
+
+test("ends the structured log with a summary of the run", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 5);
+  workspace.writeInput(1, inputRows(wallets));
+  chain.addSchedule(wallets[1], 5n);
+
+  // The second batch reverts on both attempts
+  chain.onNextSends("mine", "revert", "revert");
+  await runCreate(chain);
+
+  const records = workspace.log(1);
+  assert.equal(new Set(records.map(({ runId }) => runId)).size, 1);
+  const confirmed = records.find(({ event }) => event === "batch_confirmed");
+  assert.equal(confirmed.batch, 1);
+  assert.equal(confirmed.txHash, chain.sends[0].hash);
+
+  const summary = records[records.length - 1];
+  assert.equal(summary.event, "run_summary");
+  assert.equal(summary.created, 2);
+  assert.equal(summary.skipped, 1);
+  assert.equal(summary.failed, 2);
+  assert.equal(summary.amountSent, "4000");
+  assert.equal(summary.transactions, 3);
+  // Reverted transactions use gas too
+  assert.equal(
+    summary.gasUsed,
+    String(chain.sends.reduce((sum, tx) => sum + tx.gasUsed, 0n))
+  );
+});
+
+test("exits 0 when every wallet is done and 2 when some failed", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 4);
+  workspace.writeInput(1, inputRows(wallets));
+
+  chain.onNextSends("mine", "revert", "revert");
+  const failed = await runCreate(chain);
+  assert.equal(failed.exitCode, 2);
+  assert.equal(failed.failed, 2);
+
+  const retried = await runCreate(chain);
+  assert.equal(retried.exitCode, 0);
+  assert.equal(retried.created, 2);
+  assert.equal(retried.skipped, 2);
+});
+
+test("a restarted run takes the pre-scan from its cache", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 3);
+  workspace.writeInput(1, inputRows(wallets));
+  chain.addSchedule(wallets[0], 5n);
+
+  let lookups = 0;
+  const beneficiaries = chain.contract.beneficiaries;
+  chain.contract.beneficiaries = (wallet) => {
+    // Not counting the probe of the contract at startup
+    if (wallets.includes(wallet)) {
+      lookups++;
+    }
+    return beneficiaries(wallet);
+  };
+  // The first attempt fails after the pre-scan, at the pre-flight check
+  chain.failNext("getFeeData", "connection reset", 2);
+
+  const summary = await runCreate(chain, { concurrency: 3 });
+
+  assert.equal(summary.exitCode, 0);
+  assert.equal(lookups, 3);
+  assert.equal(
+    workspace.log(1).filter(({ event }) => event === "restart").length,
+    1
+  );
+  assert.deepEqual(ledgerStates(wallets), [
+    "skipped",
+    "confirmed",
+    "confirmed",
+  ]);
+
+  const cache = JSON.parse(
+    fs.readFileSync(
+      path.join(workspace.recordsDir, "vesting_scan_mainnet1.json"),
+      "utf8"
+    )
+  );
+  assert.deepEqual(
+    wallets.map((wallet) => cache.wallets[wallet.toLowerCase()].exists),
+    [true, false, false]
+  );
+});
+
+test("quarantines wallets whose schedule lookup fails instead of batching them", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 3);
+  workspace.writeInput(1, inputRows(wallets));
+
+  // Every lookup of the second wallet fails
+  const beneficiaries = chain.contract.beneficiaries;
+  chain.contract.beneficiaries = async (wallet) => {
+    if (wallet === wallets[1]) {
+      throw new Error("upstream timeout");
+    }
+    return beneficiaries(wallet);
+  };
+
+  const summary = await runCreate(chain);
+
+  assert.equal(summary.quarantined, 1);
+  assert.equal(summary.exitCode, 2);
+  assert.deepEqual(
+    chain.sends.map((tx) => tx.schedules.map(({ beneficiary }) => beneficiary)),
+    [[wallets[0], wallets[2]]]
+  );
+  assert.equal(workspace.ledger(1)[wallets[1].toLowerCase()], undefined);
+  const quarantineFile = path.join(
+    workspace.recordsDir,
+    "vesting_quarantine_mainnet1.csv"
+  );
+  const [header, row] = fs.readFileSync(quarantineFile, "utf8").split(/\r?\n/);
+  assert.equal(header, "wallet,amount,error,checked_at");
+  assert.match(
+    row,
+    new RegExp(`^${wallets[1]},2000,Failed after 2 attempts: upstream timeout,`)
+  );
+
+  // Once the lookup works the wallet is batched and the list is removed
+  chain.contract.beneficiaries = beneficiaries;
+  const retried = await runCreate(chain);
+
+  assert.equal(retried.exitCode, 0);
+  assert.equal(retried.created, 1);
+  assert.equal(chain.scheduleOf(wallets[1]).totalAmount, 2000n);
+  assert.equal(fs.existsSync(quarantineFile), false);
+});
+
+test("stops after the batch in flight on SIGINT", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 6);
+  workspace.writeInput(1, inputRows(wallets));
+
+  // The signal arrives while the first batch is waiting to be mined
+  const send = chain.contract.addBeneficiaries;
+  chain.contract.addBeneficiaries = async (...args) => {
+    const tx = await send(...args);
+    process.emit("SIGINT", "SIGINT");
+    return tx;
+  };
+  chain.contract.addBeneficiaries.estimateGas = send.estimateGas;
+
+  const summary = await runCreate(chain);
+
+  assert.equal(summary.exitCode, 130);
+  assert.equal(chain.sends.length, 1);
+  assert.equal(summary.created, 2);
+  assert.equal(summary.remaining, 4);
+  assert.deepEqual(ledgerStates(wallets.slice(0, 2)), [
+    "confirmed",
+    "confirmed",
+  ]);
+  assert.equal(process.listenerCount("SIGINT"), 0);
+});
+
+test("does not restart after a failed pre-flight check", async () => {
+  const chain = new MockChain({ balance: 0n });
+  workspace.writeInput(1, inputRows(WALLETS.slice(0, 2)));
+
+  await assert.rejects(runCreate(chain), /Pre-flight check failed/);
+
+  assert.equal(chain.sends.length, 0);
+  assert.equal(
+    workspace.log(1).filter(({ event }) => event === "restart").length,
+    0
+  );
+});
+
+test("a run of another profile never resumes from the mainnet files", async () => {
+  const wallets = WALLETS.slice(0, 2);
+  workspace.writeInput(1, inputRows(wallets));
+  await runCreate(new MockChain());
+  const mainnetRecords = workspace.records(1);
+
+  // The same directories, as when they are given by flag
+  const rehearsal = new MockChain();
+  const summary = await runCreate(rehearsal, {
+    profile: "local",
+    chainId: 9,
+    contract: DEFAULT_VESTING_CONTRACT_ADDRESS,
+  });
+
+  assert.equal(summary.created, 2);
+  assert.equal(rehearsal.confirmedSends().length, 1);
+  assert.deepEqual(workspace.records(1), mainnetRecords);
+  const state = JSON.parse(
+    fs.readFileSync(
+      path.join(workspace.recordsDir, "vesting_state_local1.json"),
+      "utf8"
+    )
+  );
+  assert.equal(state.wallets[wallets[0].toLowerCase()].state, "confirmed");
+  assert.ok(fs.existsSync(path.join(workspace.logsDir, "vesting_local1.log")));
+});
+
+test("stops before reading the ledger on another chain", async () => {
+  const chain = new MockChain();
+  workspace.writeInput(1, inputRows(WALLETS.slice(0, 2)));
+
+  await assert.rejects(
+    runCreate(chain, { chainId: 15000 }),
+    /The RPC endpoint is on chain 9, not chain 15000/
+  );
+
+  assert.equal(chain.sends.length, 0);
+  assert.equal(
+    workspace.log(1).filter(({ event }) => event === "restart").length,
+    0
+  );
+});
+
+test("restarts after an error a bounded number of times", async () => {
+  const chain = new MockChain();
+  workspace.writeInput(1, inputRows(WALLETS.slice(0, 2)));
+  chain.down = true;
+
+  await assert.rejects(runCreate(chain, { maxRestarts: 2 }), /ECONNREFUSED/);
+
+  const restarts = workspace.log(1).filter(({ event }) => event === "restart");
+  assert.deepEqual(
+    restarts.map(({ delayMs }) => delayMs),
+    [1, 2]
+  );
+});
+
+test("refuses to run an iteration locked by another process", async () => {
+  const chain = new MockChain();
+  workspace.writeInput(1, inputRows(WALLETS.slice(0, 2)));
+  // The parent of the test process is alive as long as it runs
+  fs.writeFileSync(
+    path.join(workspace.recordsDir, "vesting_mainnet1.lock"),
+    JSON.stringify({ pid: process.ppid, hostname: os.hostname() })
+  );
+
+  await assert.rejects(runCreate(chain), /is held by process/);
+  assert.equal(chain.sends.length, 0);
+});
@@ -0,0 +1,354 @@
+// In-memory stand-in for a Quai zone with the vesting contract deployed, for
+// running the commands offline. It implements the provider calls and the
+// contract functions the commands use, and can be told to fail in the ways a
+// real node does: RPC errors, reverts, dropped and stuck transactions.
+
+const quais = require("quais");
+const { decodeAddBeneficiaries } = require("../../lib/contract");
+
+// Chain ID reported by getNetwork, that of mainnet as the commands expect
+// by default
+const CHAIN_ID = 9n;
+
+// Gas estimated per beneficiary of an addBeneficiaries call
+const GAS_PER_BENEFICIARY = 50000n;
+const BASE_GAS = 21000n;
+
+// Gas used by an addBeneficiaries call for the schedules
+function gasFor(schedules) {
+  return BASE_GAS + GAS_PER_BENEFICIARY * BigInt(schedules.length);
+}
+
+// Timestamp of block 0
+const GENESIS_TIMESTAMP = 1700000000;
+
+class MockChain {
+  constructor({
+    blockNumber = 1000,
+    secondsPerBlock = 5,
+    gasPrice = 1000000000n,
+    balance = 10n ** 30n,
+    gasLimit = 30000000n,
+  } = {}) {
+    this.blockNumber = blockNumber;
+    this.secondsPerBlock = secondsPerBlock;
+    this.gasPrice = gasPrice;
+    this.balance = balance;
+    // Block gas limit, which no transaction may exceed
+    this.gasLimit = gasLimit;
+
+    // Schedules by lowercased beneficiary
+    this.schedules = new Map();
+    // Every transaction broadcast, by hash
+    this.transactions = new Map();
+    // Every broadcast in order, including replaced and dropped ones
+    this.sends = [];
+    // Nonce of the signer's next transaction to be mined
+    this.minedNonce = 0;
+    // Queued errors per method name, thrown by its next calls
+    this.failures = new Map();
+    // Behaviours of the next broadcasts, in order
+    this.sendBehaviours = [];
+    // While down, every call fails as if the node were unreachable
+    this.down = false;
+    // Bytecode at the contract address, "0x" if nothing is deployed
+    this.code = "0x6080604052";
+
+    this.provider = this.createProvider();
+    this.contract = this.createContract();
+  }
+
+  // Make the next `times` calls of a method fail with an RPC error. Methods
+  // are provider calls (getTransactionReceipt, getBlockNumber...) or the
+  // contract's beneficiaries, addBeneficiaries and estimateGas.
+  failNext(method, message = "connection reset", times = 1) {
+    const queue = this.failures.get(method) || [];
+    for (let i = 0; i < times; i++) {
+      queue.push(message);
+    }
+    this.failures.set(method, queue);
+  }
+
+  // Set what happens to the next broadcasts, one behaviour per send:
+  //   "mine"     mined at once, reverting if a beneficiary already exists
+  //   "revert"   mined at once with a failed status
+  //   "outOfGas" mined at once with a failed status, using all its gas
+  //   "drop"     forgotten by the node, as if evicted from the mempool
+  //   "stuck"    pending until mineStuck() or a replacement
+  //   "crash"    mined at once, after which the node goes down
+  //   "minedOnReplace"  pending, but mined just before a replacement arrives
+  //                     so the replacement is rejected
+  onNextSends(...behaviours) {
+    this.sendBehaviours.push(...behaviours);
+  }
+
+  // Add a schedule directly, as if created by an earlier distribution
+  addSchedule(wallet, totalAmount) {
+    this.schedules.set(wallet.toLowerCase(), {
+      totalAmount,
+      releasedAmount: 0n,
+      startBlock: BigInt(this.blockNumber),
+      durationInBlocks: 1000n,
+      cliffBlock: BigInt(this.blockNumber),
+    });
+  }
+
+  // Mine every pending transaction, in nonce order
+  mineStuck() {
+    const pending = [...this.transactions.values()]
+      .filter((tx) => tx.state === "pending")
+      .sort((a, b) => a.nonce - b.nonce);
+    for (const tx of pending) {
+      this.mine(tx);
+    }
+  }
+
+  // Schedule of a wallet, or undefined
+  scheduleOf(wallet) {
+    return this.schedules.get(wallet.toLowerCase());
+  }
+
+  // Broadcasts that were mined successfully
+  confirmedSends() {
+    return this.sends.filter((tx) => tx.state === "mined" && tx.status === 1);
+  }
+
+  // Throw if the node is down or a failure is queued for the method
+  call(method) {
+    if (this.down) {
+      throw new Error("connect ECONNREFUSED 127.0.0.1:9200");
+    }
+    const queue = this.failures.get(method);
+    if (queue && queue.length > 0) {
+      throw new Error(queue.shift());
+    }
+  }
+
+  // Mine a transaction in a new block, applying its schedules unless it
+  // reverts. revert may be "outOfGas" for a revert that uses all its gas.
+  mine(tx, revert = false) {
+    this.blockNumber++;
+    const exists = tx.schedules.some(({ beneficiary }) =>
+      this.schedules.has(beneficiary.toLowerCase())
+    );
+    tx.status = revert || exists ? 0 : 1;
+    tx.state = "mined";
+    tx.blockNumber = this.blockNumber;
+    tx.gasUsed = revert === "outOfGas" ? tx.gasLimit : gasFor(tx.schedules);
+    this.minedNonce = Math.max(this.minedNonce, tx.nonce + 1);
+
+    if (tx.status === 1) {
+      for (const schedule of tx.schedules) {
+        this.schedules.set(schedule.beneficiary.toLowerCase(), {
+          totalAmount: BigInt(schedule.totalAmount),
+          releasedAmount: 0n,
+          startBlock: BigInt(schedule.startBlock),
+          durationInBlocks: BigInt(schedule.durationInBlocks),
+          cliffBlock: BigInt(schedule.cliffBlock),
+        });
+      }
+    }
+  }
+
+  // Accept a broadcast at a nonce, replacing a pending transaction at the
+  // same nonce if it pays more. Without a gas limit the transaction gets its
+  // gas plus a fifth as margin.
+  broadcast(
+    schedules,
+    { nonce, gasPrice, gasLimit = (gasFor(schedules) * 6n) / 5n }
+  ) {
+    if (nonce === undefined) {
+      nonce = this.nextNonce();
+    }
+    if (BigInt(gasLimit) > this.gasLimit) {
+      throw new Error("exceeds block gas limit");
+    }
+    if (nonce < this.minedNonce) {
+      throw new Error("nonce too low");
+    }
+
+    const previous = [...this.transactions.values()].find(
+      (tx) => tx.state === "pending" && tx.nonce === nonce
+    );
+    if (previous) {
+      if (previous.behaviour === "minedOnReplace") {
+        this.mine(previous);
+        throw new Error("nonce too low");
+      }
+      if (gasPrice <= previous.gasPrice) {
+        throw new Error("replacement transaction underpriced");
+      }
+      previous.state = "replaced";
+    }
+
+    const tx = {
+      hash: `0x${(this.sends.length + 1).toString(16).padStart(64, "0")}`,
+      nonce,
+      gasPrice,
+      gasLimit: BigInt(gasLimit),
+      schedules,
+      state: "pending",
+      behaviour: this.sendBehaviours.shift() || "mine",
+    };
+    this.sends.push(tx);
+    this.transactions.set(tx.hash, tx);
+
+    if (tx.behaviour === "mine") {
+      this.mine(tx);
+    } else if (tx.behaviour === "revert") {
+      this.mine(tx, true);
+    } else if (tx.behaviour === "outOfGas") {
+      this.mine(tx, "outOfGas");
+    } else if (tx.behaviour === "crash") {
+      this.mine(tx);
+      this.down = true;
+    } else if (tx.behaviour === "drop") {
+      tx.state = "dropped";
+    }
+    return {
+      hash: tx.hash,
+      nonce,
+      gasLimit: tx.gasLimit,
+      wait: async () => this.waitFor(tx),
+    };
+  }
+
+  // Receipt of a mined transaction, throwing like quais if it reverted or is
+  // not mined
+  waitFor(tx) {
+    if (tx.state !== "mined") {
+      throw new Error(`Transaction ${tx.hash} was not mined: ${tx.state}`);
+    }
+    if (tx.status !== 1) {
+      const error = new Error("transaction execution reverted");
+      error.code = "CALL_EXCEPTION";
+      throw error;
+    }
+    return {
+      hash: tx.hash,
+      status: tx.status,
+      blockNumber: tx.blockNumber,
+      gasUsed: tx.gasUsed,
+    };
+  }
+
+  // Nonce of the signer's next transaction, counting pending ones
+  nextNonce() {
+    const pending = [...this.transactions.values()].filter(
+      (tx) => tx.state === "pending"
+    );
+    return Math.max(this.minedNonce, ...pending.map((tx) => tx.nonce + 1));
+  }
+
+  // Block of the chain with its timestamp, in the shape of a quais block
+  block(number) {
+    return {
+      woHeader: {
+        number,
+        timestamp: GENESIS_TIMESTAMP + number * this.secondsPerBlock,
+      },
+      header: { gasLimit: this.gasLimit },
+    };
+  }
+
+  createProvider() {
+    const chain = this;
+    return {
+      async getNetwork() {
+        chain.call("getNetwork");
+        return { chainId: CHAIN_ID };
+      },
+      async getBlockNumber() {
+        chain.call("getBlockNumber");
+        return chain.blockNumber;
+      },
+      async getCode() {
+        chain.call("getCode");
+        return chain.code;
+      },
+      async getBlock(zone, blockTag) {
+        chain.call("getBlock");
+        const number = blockTag === "latest" ? chain.blockNumber : blockTag;
+        return number > chain.blockNumber ? null : chain.block(number);
+      },
+      async getFeeData() {
+        chain.call("getFeeData");
+        return { gasPrice: chain.gasPrice };
+      },
+      async getBalance() {
+        chain.call("getBalance");
+        return chain.balance;
+      },
+      async getTransactionCount(address, blockTag) {
+        chain.call("getTransactionCount");
+        return blockTag === "pending" ? chain.nextNonce() : chain.minedNonce;
+      },
+      async getTransactionReceipt(hash) {
+        chain.call("getTransactionReceipt");
+        const tx = chain.transactions.get(hash);
+        if (!tx || tx.state !== "mined") {
+          return null;
+        }
+        return {
+          hash,
+          status: tx.status,
+          blockNumber: tx.blockNumber,
+          gasUsed: tx.gasUsed,
+        };
+      },
+      // Accept a raw signed addBeneficiaries transaction, as sent by the
+      // broadcast command
+      async broadcastTransaction(zone, raw) {
+        chain.call("broadcastTransaction");
+        const tx = quais.QuaiTransaction.from(raw);
+        return chain.broadcast(decodeAddBeneficiaries(tx.data), {
+          nonce: tx.nonce,
+          gasPrice: tx.gasPrice,
+        });
+      },
+      async getTransaction(hash) {
+        chain.call("getTransaction");
+        const tx = chain.transactions.get(hash);
+        if (!tx || tx.state === "dropped" || tx.state === "replaced") {
+          return null;
+        }
+        return { hash, nonce: tx.nonce, gasPrice: tx.gasPrice };
+      },
+    };
+  }
+
+  createContract() {
+    const chain = this;
+
+    async function addBeneficiaries(schedules, overrides = {}) {
+      chain.call("addBeneficiaries");
+      return chain.broadcast(schedules, overrides);
+    }
+    addBeneficiaries.estimateGas = async (schedules) => {
+      chain.call("estimateGas");
+      const gas = gasFor(schedules);
+      if (gas > chain.gasLimit) {
+        throw new Error(`gas required exceeds allowance (${chain.gasLimit})`);
+      }
+      return gas;
+    };
+
+    return {
+      addBeneficiaries,
+      async beneficiaries(address) {
+        chain.call("beneficiaries");
+        return (
+          chain.schedules.get(address.toLowerCase()) || {
+            totalAmount: 0n,
+            releasedAmount: 0n,
+            startBlock: 0n,
+            durationInBlocks: 0n,
+            cliffBlock: 0n,
+          }
+        );
+      },
+    };
+  }
+}
+
+module.exports = { MockChain, CHAIN_ID, GAS_PER_BENEFICIARY, BASE_GAS };
@@ -0,0 +1,107 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Papa = require("papaparse");
+const quais = require("quais");
+const { resolveConfig } = require("../../lib/config");
+
+// Key of the test signer, never used on a real chain
+const TEST_PRIVATE_KEY =
+  "0x0000000000000000000000000000000000000000000000000000000000000325";
+
+// Quai addresses in zone 0x00, the zone of the default contract
+const WALLETS = [
+  "0x0011111111111111111111111111111111111111",
+  "0x0022222222222222222222222222222222222222",
+  "0x0033333333333333333333333333333333333333",
+  "0x0044444444444444444444444444444444444444",
+  "0x0055555555555555555555555555555555555555",
+  "0x0066666666666666666666666666666666666666",
+].map((address) => quais.getAddress(address));
+
+// Temporary data, records and logs directories for one test
+function createWorkspace() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vesting-test-"));
+  const dirs = {
+    dataDir: path.join(dir, "data"),
+    recordsDir: path.join(dir, "records"),
+    logsDir: path.join(dir, "logs"),
+  };
+  for (const sub of Object.values(dirs)) {
+    fs.mkdirSync(sub);
+  }
+
+  return {
+    dir,
+    ...dirs,
+
+    // Write the input CSV of an iteration from rows of column values
+    writeInput(iteration, rows, columns = ["wallet", "total"]) {
+      const file = path.join(dirs.dataDir, `vesting_amounts${iteration}.csv`);
+      fs.writeFileSync(
+        file,
+        Papa.unparse({ fields: columns, data: rows }, { newline: "\n" }) + "\n"
+      );
+      return file;
+    },
+
+    // Wallet entries of an iteration's state ledger, keyed by lowercased
+    // wallet
+    ledger(iteration) {
+      const file = path.join(
+        dirs.recordsDir,
+        `vesting_state_mainnet${iteration}.json`
+      );
+      return JSON.parse(fs.readFileSync(file, "utf8")).wallets;
+    },
+
+    // Rows of an iteration's records file
+    records(iteration) {
+      const file = path.join(
+        dirs.recordsDir,
+        `vesting_records_mainnet${iteration}.csv`
+      );
+      return Papa.parse(fs.readFileSync(file, "utf8"), {
+        header: true,
+        skipEmptyLines: true,
+      }).data;
+    },
+
+    // Records of an iteration's JSON lines log file
+    log(iteration) {
+      const file = path.join(dirs.logsDir, `vesting_mainnet${iteration}.log`);
+      return fs
+        .readFileSync(file, "utf8")
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+    },
+
+    remove() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// Resolve a command's configuration from flags, ignoring the environment,
+// with the workspace directories and short retry delays and timeouts
+function testConfig(command, workspace, flags = {}) {
+  return resolveConfig(
+    command.options,
+    {
+      rpcUrl: "http://127.0.0.1:9200",
+      amountUnit: "wei",
+      dataDir: workspace.dataDir,
+      recordsDir: workspace.recordsDir,
+      logsDir: workspace.logsDir,
+      maxRetries: 2,
+      retryDelayMs: 1,
+      txTimeoutMs: 10,
+      restartDelayMs: 1,
+      ...flags,
+    },
+    {}
+  );
+}
+
+module.exports = { TEST_PRIVATE_KEY, WALLETS, createWorkspace, testConfig };
@@ -0,0 +1,97 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  loadHistory,
+  priorAllocations,
+  findMultiIterationWallets,
+  allocatedTotal,
+} = require("../lib/history");
+const { WALLETS, createWorkspace } = require("./helpers/workspace");
+
+const HEADER = "wallet,amount,tx_hash,status";
+
+let workspace;
+
+beforeEach(() => {
+  workspace = createWorkspace();
+});
+
+afterEach(() => {
+  workspace.remove();
+});
+
+// Write an iteration's records file from rows of column values
+function writeRecords(iteration, rows) {
+  fs.writeFileSync(
+    path.join(workspace.recordsDir, `vesting_records_mainnet${iteration}.csv`),
+    [HEADER, ...rows.map((row) => row.join(","))].join("\n") + "\n"
+  );
+}
+
+test("indexes the records of every iteration by wallet", () => {
+  writeRecords(3, [[WALLETS[0].toLowerCase(), "200", "0xbb", "success"]]);
+  writeRecords(2, [
+    [WALLETS[0], "100", "0xaa", "success"],
+    [WALLETS[1], "5", "", "failed"],
+  ]);
+  fs.writeFileSync(path.join(workspace.recordsDir, "vesting_history.csv"), "");
+
+  const history = loadHistory(workspace.recordsDir);
+
+  assert.deepEqual(history.iterations, [2, 3]);
+  const { allocations } = history.wallets.get(WALLETS[0].toLowerCase());
+  assert.deepEqual(
+    allocations.map(({ iteration, amount }) => [iteration, amount]),
+    [
+      [2, 100n],
+      [3, 200n],
+    ]
+  );
+  assert.equal(allocatedTotal(allocations), 300n);
+});
+
+test("the latest row of a wallet in a records file wins", () => {
+  writeRecords(1, [
+    [WALLETS[0], "100", "", "failed"],
+    [WALLETS[0], "100", "0xaa", "success"],
+  ]);
+
+  const { allocations } = loadHistory(workspace.recordsDir).wallets.get(
+    WALLETS[0].toLowerCase()
+  );
+  assert.equal(allocations.length, 1);
+  assert.equal(allocations[0].status, "success");
+});
+
+test("flags wallets allocated in more than one iteration, ignoring failed batches", () => {
+  writeRecords(1, [
+    [WALLETS[0], "100", "0xaa", "success"],
+    [WALLETS[1], "5", "", "failed"],
+  ]);
+  writeRecords(2, [
+    [WALLETS[0], "100", "0xbb", "pending"],
+    [WALLETS[1], "5", "0xcc", "success"],
+  ]);
+
+  const history = loadHistory(workspace.recordsDir);
+
+  assert.deepEqual(
+    findMultiIterationWallets(history).map(({ wallet }) => wallet),
+    [WALLETS[0]]
+  );
+  assert.deepEqual(
+    priorAllocations(history, WALLETS[0], 2).map(({ iteration }) => iteration),
+    [1]
+  );
+  assert.deepEqual(priorAllocations(history, WALLETS[1], 2), []);
+});
+
+test("an empty or missing records directory has no history", () => {
+  assert.equal(loadHistory(workspace.recordsDir).wallets.size, 0);
+  assert.deepEqual(
+    loadHistory(path.join(workspace.dir, "missing")).iterations,
+    []
+  );
+});
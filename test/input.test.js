@@ -0,0 +1,135 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { readVestingCsv, validateVestingRows } = require("../lib/input");
+const { DEFAULT_VESTING_CONTRACT_ADDRESS } = require("../lib/contract");
+const { WALLETS, createWorkspace } = require("./helpers/workspace");
+
+const OPTIONS = {
+  amountUnit: "quai",
+  defaults: { cliffDays: 180, durationDays: 730, startOffsetDays: 3 },
+  contract: DEFAULT_VESTING_CONTRACT_ADDRESS,
+};
+
+let workspace;
+
+beforeEach(() => {
+  workspace = createWorkspace();
+});
+
+afterEach(() => {
+  workspace.remove();
+});
+
+// Validate CSV text as an input file
+function validate(text, options = {}) {
+  const file = path.join(workspace.dataDir, "input.csv");
+  fs.writeFileSync(file, text);
+  return validateVestingRows(readVestingCsv(file), { ...OPTIONS, ...options });
+}
+
+test("reads a file with a BOM, padded headers and values and blank rows", () => {
+  const { beneficiaries, errors } = validate(
+    `﻿ Wallet , Total\n ${WALLETS[0].toLowerCase()} , 1.5 \n\n,\n`
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(beneficiaries.length, 1);
+  assert.equal(beneficiaries[0].wallet, WALLETS[0]);
+  assert.equal(beneficiaries[0].amount, 1500000000000000000n);
+  assert.equal(beneficiaries[0].line, 2);
+});
+
+test("reports missing columns", () => {
+  const { errors } = validate(`address,amount\n${WALLETS[0]},1\n`);
+  assert.deepEqual(errors, [
+    { line: 1, wallet: "", message: "missing column(s): wallet, total" },
+  ]);
+});
+
+test("reports every problem of a row with its line", () => {
+  const { errors } = validate(
+    [
+      "wallet,total,cliff_days",
+      `${WALLETS[0]},abc,x`,
+      "not-an-address,1,",
+      "0x8011111111111111111111111111111111111111,1,",
+      "0x1011111111111111111111111111111111111111,1,",
+      "",
+    ].join("\n")
+  );
+  assert.deepEqual(
+    errors.map(({ line, message }) => [line, message]),
+    [
+      [2, "amount abc is not a plain decimal number"],
+      [2, 'cliff_days must be a non-negative whole number of days, got "x"'],
+      [3, "not-an-address is not a valid address"],
+      [
+        4,
+        "0x8011111111111111111111111111111111111111 is not in any Quai shard",
+      ],
+      [
+        5,
+        "0x1011111111111111111111111111111111111111 is in zone 0x10, the vesting contract is in zone 0x00",
+      ],
+    ]
+  );
+});
+
+test("rejects a Qi address", () => {
+  const { errors } = validate(
+    "wallet,total\n0x0081111111111111111111111111111111111111,1\n"
+  );
+  assert.match(errors[0].message, /is a Qi address/);
+});
+
+test("reports duplicate wallets in any letter case", () => {
+  const { beneficiaries, errors } = validate(
+    `wallet,total\n${WALLETS[0]},1\n${WALLETS[0].toLowerCase()},2\n`
+  );
+  assert.equal(beneficiaries.length, 1);
+  assert.deepEqual(errors, [
+    { line: 3, wallet: WALLETS[0], message: "duplicate of line 2" },
+  ]);
+});
+
+test("merges duplicates with the same schedule by summing their amounts", () => {
+  const { beneficiaries, errors, merged } = validate(
+    [
+      "wallet,total,cliff_days",
+      `${WALLETS[0]},1,`,
+      `${WALLETS[0].toLowerCase()},2,`,
+      `${WALLETS[1]},1,`,
+      `${WALLETS[1]},1,30`,
+      "",
+    ].join("\n"),
+    { mergeDuplicates: true }
+  );
+  assert.equal(merged, 1);
+  assert.equal(beneficiaries[0].amount, 3000000000000000000n);
+  assert.deepEqual(beneficiaries[0].merged, [3]);
+  assert.deepEqual(errors, [
+    {
+      line: 5,
+      wallet: WALLETS[1],
+      message: "duplicate of line 4 with a different schedule, cannot merge",
+    },
+  ]);
+});
+
+test("reports duplicates whose merged amount overflows uint256", () => {
+  const max = ((1n << 256n) - 1n).toString();
+  const { beneficiaries, errors, merged } = validate(
+    `wallet,total\n${WALLETS[0]},${max}\n${WALLETS[0]},1\n`,
+    { amountUnit: "wei", mergeDuplicates: true }
+  );
+  assert.equal(merged, 0);
+  assert.equal(beneficiaries[0].amount, BigInt(max));
+  assert.deepEqual(errors, [
+    {
+      line: 3,
+      wallet: WALLETS[0],
+      message: "duplicate of line 2, the merged amount overflows uint256",
+    },
+  ]);
+});
@@ -0,0 +1,64 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { acquireLock } = require("../lib/lock");
+const { createWorkspace } = require("./helpers/workspace");
+
+let workspace;
+let file;
+
+beforeEach(() => {
+  workspace = createWorkspace();
+  file = path.join(workspace.recordsDir, "test.lock");
+});
+
+afterEach(() => {
+  workspace.remove();
+});
+
+// Write a lock file as another process would
+function writeLock(holder) {
+  fs.writeFileSync(
+    file,
+    JSON.stringify({ startedAt: "2026-01-01T00:00:00.000Z", ...holder })
+  );
+}
+
+test("holds the lock until it is released", () => {
+  const lock = acquireLock(file, { iteration: 3 });
+  assert.equal(lock.stale, null);
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).iteration, 3);
+  assert.throws(() => acquireLock(file), /is held by process \d+/);
+
+  lock.release();
+  assert.equal(fs.existsSync(file), false);
+  acquireLock(file).release();
+});
+
+test("refuses a lock held by a live process or on another host", () => {
+  // The parent of the test process is alive as long as it runs
+  writeLock({ pid: process.ppid, hostname: os.hostname() });
+  assert.throws(() => acquireLock(file), /Wait for it to finish/);
+
+  writeLock({ pid: 999999999, hostname: "other-host" });
+  assert.throws(() => acquireLock(file), /on other-host/);
+});
+
+test("takes over a lock left by a process that no longer runs", () => {
+  writeLock({ pid: 999999999, hostname: os.hostname() });
+
+  const lock = acquireLock(file);
+  assert.equal(lock.stale.pid, 999999999);
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).pid, process.pid);
+  lock.release();
+});
+
+test("release leaves a lock taken over by another process", () => {
+  const lock = acquireLock(file);
+  writeLock({ pid: 999999999, hostname: os.hostname() });
+
+  lock.release();
+  assert.equal(fs.existsSync(file), true);
+});
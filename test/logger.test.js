@@ -0,0 +1,66 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { createLogger } = require("../lib/logger");
+const { createWorkspace } = require("./helpers/workspace");
+
+let workspace;
+
+beforeEach(() => {
+  workspace = createWorkspace();
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  workspace.remove();
+});
+
+test("writes one JSON record per message with the run ID and fields", () => {
+  const file = path.join(workspace.logsDir, "test.log");
+  const logMessage = createLogger(file, { runId: "run-1" });
+
+  logMessage("Started");
+  logMessage("Sent", {
+    level: "warn",
+    event: "batch_sent",
+    batch: 2,
+    amount: 10n ** 30n,
+  });
+
+  const records = fs
+    .readFileSync(file, "utf8")
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  assert.equal(logMessage.runId, "run-1");
+  assert.deepEqual(
+    records.map(({ time, ...record }) => record),
+    [
+      { runId: "run-1", level: "info", event: "message", message: "Started" },
+      {
+        runId: "run-1",
+        level: "warn",
+        event: "batch_sent",
+        message: "Sent",
+        batch: 2,
+        amount: "1000000000000000000000000000000",
+      },
+    ]
+  );
+});
+
+test("prints only messages at or above the console level", () => {
+  const logMessage = createLogger(null, { consoleLevel: "warn" });
+
+  logMessage("Queued", { level: "debug" });
+  logMessage("Progress");
+  logMessage("Retrying", { level: "warn" });
+  logMessage("Failed", { level: "error" });
+
+  assert.deepEqual(
+    console.log.mock.calls.map((call) => call.arguments[0].split(": ")[1]),
+    ["Retrying", "Failed"]
+  );
+});
@@ -0,0 +1,145 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { resolveConfig, iterationFiles } = require("../lib/config");
+const { DEFAULT_VESTING_CONTRACT_ADDRESS } = require("../lib/contract");
+const { createWorkspace } = require("./helpers/workspace");
+
+const ROOT_DIR = path.join(__dirname, "..");
+const OPTIONS = [
+  "profile",
+  "rpcUrl",
+  "chainId",
+  "contract",
+  "blocksPerDay",
+  "iteration",
+  "dataDir",
+  "recordsDir",
+  "logsDir",
+];
+
+let workspace;
+
+afterEach(() => {
+  if (workspace) {
+    workspace.remove();
+    workspace = null;
+  }
+});
+
+test("the mainnet profile keeps the original contract, directories and file names", () => {
+  const { config, sources } = resolveConfig(OPTIONS, { iteration: "3" }, {});
+
+  assert.equal(config.profile, "mainnet");
+  assert.equal(config.contract, DEFAULT_VESTING_CONTRACT_ADDRESS);
+  assert.equal(config.chainId, 9);
+  assert.equal(sources.contract, "profile mainnet");
+  assert.equal(config.recordsDir, path.join(ROOT_DIR, "records"));
+  assert.equal(
+    iterationFiles(config).records,
+    path.join(ROOT_DIR, "records", "vesting_records_mainnet3.csv")
+  );
+});
+
+test("another profile has its own settings, directories and file names", () => {
+  const { config } = resolveConfig(
+    OPTIONS,
+    { profile: "testnet", iteration: "3" },
+    {}
+  );
+
+  assert.deepEqual(config.rpcUrl, ["https://orchard.rpc.quai.network"]);
+  assert.equal(config.contract, undefined);
+
+  const files = iterationFiles(config);
+  assert.equal(
+    files.state,
+    path.join(ROOT_DIR, "records", "testnet", "vesting_state_testnet3.json")
+  );
+  assert.equal(
+    files.log,
+    path.join(ROOT_DIR, "logs", "testnet", "vesting_testnet3.log")
+  );
+
+  // Even in the same directory, the files of two profiles differ
+  const mainnet = iterationFiles({ ...config, profile: "mainnet" });
+  assert.notEqual(path.basename(mainnet.state), path.basename(files.state));
+
+  assert.throws(
+    () => resolveConfig(OPTIONS, { profile: "staging" }, {}),
+    /Unknown profile "staging", expected one of mainnet, testnet, local/
+  );
+});
+
+test("a profile picked with --profile outranks the environment", () => {
+  // A .env written for mainnet
+  const env = { RPC_URL: "https://rpc.quai.network", CHAIN_ID: "9" };
+
+  const picked = resolveConfig(OPTIONS, { profile: "testnet" }, env);
+  assert.deepEqual(picked.config.rpcUrl, ["https://orchard.rpc.quai.network"]);
+  assert.equal(picked.config.chainId, 15000);
+  assert.equal(picked.sources.rpcUrl, "profile testnet");
+
+  // A flag still overrides the profile
+  const flagged = resolveConfig(
+    OPTIONS,
+    { profile: "testnet", chainId: "16000" },
+    env
+  );
+  assert.equal(flagged.config.chainId, 16000);
+
+  // A profile from the environment is overridden by the rest of it
+  const fromEnv = resolveConfig(
+    OPTIONS,
+    {},
+    { ...env, VESTING_PROFILE: "local" }
+  );
+  assert.equal(fromEnv.config.profile, "local");
+  assert.deepEqual(fromEnv.config.rpcUrl, ["https://rpc.quai.network"]);
+  assert.equal(fromEnv.sources.chainId, "env CHAIN_ID");
+});
+
+test("a config file defines profiles and changes built-in ones", () => {
+  workspace = createWorkspace();
+  const file = path.join(workspace.dir, "config.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      profile: "staging",
+      profiles: {
+        staging: {
+          rpcUrl: ["http://10.0.0.1:9200", "http://10.0.0.2:9200"],
+          chainId: 15000,
+          contract: "0x0011111111111111111111111111111111111111",
+        },
+        testnet: { contract: "0x0022222222222222222222222222222222222222" },
+      },
+    })
+  );
+
+  const staging = resolveConfig(OPTIONS, { config: file }, {}).config;
+  assert.deepEqual(staging.rpcUrl, [
+    "http://10.0.0.1:9200",
+    "http://10.0.0.2:9200",
+  ]);
+  assert.equal(staging.blocksPerDay, undefined);
+  assert.equal(staging.recordsDir, path.join(ROOT_DIR, "records", "staging"));
+
+  const testnet = resolveConfig(
+    OPTIONS,
+    { config: file, profile: "testnet" },
+    {}
+  ).config;
+  assert.equal(testnet.contract, "0x0022222222222222222222222222222222222222");
+  assert.equal(testnet.chainId, 15000);
+
+  fs.writeFileSync(
+    file,
+    JSON.stringify({ profiles: { staging: { batchSize: 5 } } })
+  );
+  assert.throws(
+    () => resolveConfig(OPTIONS, { config: file }, {}),
+    /Unknown option "batchSize" in profile "staging"/
+  );
+});
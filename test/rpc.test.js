@@ -0,0 +1,155 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFailoverProvider, isEndpointError } = require("../lib/rpc");
+const { resolveConfig, formatConfig } = require("../lib/config");
+
+// Endpoint answering calls from `answers`, by method name: a value, or an
+// Error to throw. Counts the calls of each method.
+function endpoint(url, answers) {
+  const calls = {};
+  const provider = {};
+  for (const [method, answer] of Object.entries(answers)) {
+    provider[method] = async () => {
+      calls[method] = (calls[method] || 0) + 1;
+      if (answer instanceof Error) {
+        throw answer;
+      }
+      return answer;
+    };
+  }
+  return { url, provider, calls };
+}
+
+function revert() {
+  const error = new Error("execution reverted");
+  error.code = "CALL_EXCEPTION";
+  return error;
+}
+
+test("isEndpointError tells endpoint failures from answers to the call", () => {
+  assert.equal(isEndpointError(new Error("connect ECONNREFUSED")), true);
+  assert.equal(isEndpointError(revert()), false);
+  assert.equal(isEndpointError(new Error("nonce too low")), false);
+  assert.equal(isEndpointError(new Error("exceeds block gas limit")), false);
+});
+
+test("the effective configuration names endpoints by host only", () => {
+  const { config, sources } = resolveConfig(
+    ["rpcUrl"],
+    {
+      rpcUrl: [
+        "https://rpc.example.com/v1/SECRETKEY123",
+        "https://backup.example.org:8545/?apiKey=SECRET",
+      ],
+    },
+    {}
+  );
+
+  assert.deepEqual(formatConfig(config, sources), [
+    "rpcUrl: rpc.example.com, backup.example.org:8545 (flag)",
+  ]);
+});
+
+test("fails over to the next endpoint and leaves the failed one out", async () => {
+  const first = endpoint("https://one.example/key", {
+    getBlockNumber: new Error("connect ECONNREFUSED"),
+  });
+  const second = endpoint("https://two.example", { getBlockNumber: 7 });
+  const events = [];
+  const provider = createFailoverProvider([first, second], {
+    log: (message, fields) => events.push(fields),
+  });
+
+  assert.equal(await provider.getBlockNumber(), 7);
+  assert.equal(await provider.getBlockNumber(), 7);
+  assert.equal(first.calls.getBlockNumber, 1);
+  assert.equal(second.calls.getBlockNumber, 2);
+  // Named by host only, the path may hold an API key
+  assert.deepEqual(events, [
+    { level: "warn", event: "rpc_endpoint_down", endpoint: "one.example" },
+  ]);
+  assert.equal(provider.provider, provider);
+});
+
+test("does not fail over on an answer to the call", async () => {
+  const first = endpoint("https://one.example", { call: revert() });
+  const second = endpoint("https://two.example", { call: "0x" });
+  const provider = createFailoverProvider([first, second]);
+
+  await assert.rejects(provider.call({}), /execution reverted/);
+  assert.equal(second.calls.call, undefined);
+});
+
+test("quorum reads need enough endpoints to agree", async () => {
+  const provider = createFailoverProvider(
+    [
+      endpoint("https://one.example", { call: "0x01" }),
+      endpoint("https://two.example", { call: "0x02" }),
+      endpoint("https://three.example", { call: "0x01" }),
+    ],
+    { quorum: 2 }
+  );
+  assert.equal(await provider.call({}), "0x01");
+
+  const split = createFailoverProvider(
+    [
+      endpoint("https://one.example", { getBalance: 1n }),
+      endpoint("https://two.example", { getBalance: 2n }),
+      endpoint("https://three.example", {
+        getBalance: new Error("request timeout"),
+      }),
+    ],
+    { quorum: 2 }
+  );
+  await assert.rejects(
+    split.getBalance("0x"),
+    /No 2 RPC endpoints agree on getBalance: 2 different answer\(s\), last error: request timeout/
+  );
+
+  assert.throws(
+    () =>
+      createFailoverProvider([endpoint("https://one.example", {})], {
+        quorum: 2,
+      }),
+    /needs at least 2 endpoints/
+  );
+});
+
+test("checkEndpoints leaves out unreachable and lagging endpoints and rejects another chain", async () => {
+  const network = { chainId: 9n };
+  const endpoints = [
+    endpoint("https://down.example", {
+      getNetwork: new Error("connect ECONNREFUSED"),
+      getBlockNumber: new Error("connect ECONNREFUSED"),
+    }),
+    endpoint("https://behind.example", {
+      getNetwork: network,
+      getBlockNumber: 900,
+    }),
+    endpoint("https://good.example", {
+      getNetwork: network,
+      getBlockNumber: 1000,
+    }),
+  ];
+  const provider = createFailoverProvider(endpoints);
+
+  const report = await provider.checkEndpoints({ chainId: 9 });
+  assert.deepEqual(
+    report.map(({ endpoint, healthy }) => [endpoint, healthy]),
+    [
+      ["down.example", false],
+      ["behind.example", false],
+      ["good.example", true],
+    ]
+  );
+  assert.equal(await provider.getBlockNumber(), 1000);
+
+  await assert.rejects(
+    provider.checkEndpoints({ chainId: 15000 }),
+    (error) =>
+      error.name === "FatalError" &&
+      /behind\.example is on chain 9, good\.example is on chain 9/.test(
+        error.message
+      )
+  );
+});
@@ -0,0 +1,59 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { openScanCache } = require("../lib/scan");
+const { WALLETS, createWorkspace } = require("./helpers/workspace");
+
+const CONTRACT = "0x0045edcE84e8E85e1E4861f082e5F5A0a50A7317";
+const HOUR = 60 * 60 * 1000;
+
+let workspace;
+let file;
+
+beforeEach(() => {
+  workspace = createWorkspace();
+  file = path.join(workspace.recordsDir, "vesting_scan_mainnet1.json");
+});
+
+afterEach(() => {
+  workspace.remove();
+});
+
+test("keeps schedules found and forgets wallets without one once stale", () => {
+  const cache = openScanCache(file, { contract: CONTRACT, maxAgeMs: HOUR });
+  cache.set(WALLETS[0], true);
+  cache.set(WALLETS[1], false);
+  cache.save();
+
+  const reopened = openScanCache(file, { contract: CONTRACT, maxAgeMs: HOUR });
+  assert.equal(reopened.get(WALLETS[0].toLowerCase()), true);
+  assert.equal(reopened.get(WALLETS[1]), false);
+  assert.equal(reopened.get(WALLETS[2]), undefined);
+
+  const stale = openScanCache(file, { contract: CONTRACT, maxAgeMs: 0 });
+  assert.equal(stale.get(WALLETS[0]), true);
+  assert.equal(stale.get(WALLETS[1]), undefined);
+});
+
+test("ignores a cache of another contract and never writes when read-only", () => {
+  const cache = openScanCache(file, { contract: CONTRACT, maxAgeMs: HOUR });
+  cache.set(WALLETS[0], true);
+  cache.save();
+
+  const other = openScanCache(file, { contract: WALLETS[5], maxAgeMs: HOUR });
+  assert.equal(other.get(WALLETS[0]), undefined);
+
+  const readOnly = openScanCache(file, {
+    contract: CONTRACT,
+    maxAgeMs: HOUR,
+    readOnly: true,
+  });
+  readOnly.set(WALLETS[1], true);
+  readOnly.save();
+  assert.equal(readOnly.get(WALLETS[1]), true);
+  assert.deepEqual(
+    Object.keys(JSON.parse(fs.readFileSync(file, "utf8")).wallets),
+    [WALLETS[0].toLowerCase()]
+  );
+});
@@ -0,0 +1,118 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  resolveVestingParams,
+  fixedTiming,
+  daysToBlocks,
+  dateToBlock,
+  computeSchedule,
+  toContractSchedule,
+  vestedAmount,
+  vestingAmounts,
+  formatPercentage,
+} = require("../lib/schedule");
+
+const DEFAULTS = { cliffDays: 180, durationDays: 730, startOffsetDays: 3 };
+
+test("resolveVestingParams falls back to the defaults for blank columns", () => {
+  assert.deepEqual(
+    resolveVestingParams({ cliff_days: "30", duration_days: "" }, DEFAULTS),
+    { cliffDays: 30, durationDays: 730, startOffsetDays: 3 }
+  );
+});
+
+test("resolveVestingParams rejects invalid day columns", () => {
+  assert.throws(
+    () => resolveVestingParams({ cliff_days: "1.5" }, DEFAULTS),
+    /cliff_days must be a non-negative whole number/
+  );
+  assert.throws(
+    () => resolveVestingParams({ duration_days: "0" }, DEFAULTS),
+    /duration_days must be greater than 0/
+  );
+  assert.throws(
+    () => resolveVestingParams({ cliff_days: "800" }, DEFAULTS),
+    /cannot exceed duration_days/
+  );
+});
+
+test("daysToBlocks uses the fixed blocks per day or the measured block time", () => {
+  assert.equal(daysToBlocks(2, fixedTiming(0, 17280)), 34560);
+  assert.equal(
+    daysToBlocks(1, { calibrated: true, secondsPerBlock: 4 }),
+    21600
+  );
+});
+
+test("dateToBlock converts a date from a measured reference", () => {
+  const reference = {
+    blockNumber: 1000,
+    timestamp: 1700000000,
+    secondsPerBlock: 5,
+  };
+  assert.equal(
+    dateToBlock(new Date(1700000000 * 1000 + 50000), reference),
+    1010
+  );
+});
+
+test("computeSchedule counts the start from the anchor and the cliff and end from the start", () => {
+  const schedule = computeSchedule(
+    {
+      wallet: "0x1",
+      amount: 10n,
+      startOffsetDays: 1,
+      cliffDays: 2,
+      durationDays: 4,
+    },
+    fixedTiming(1000, 100)
+  );
+  assert.equal(schedule.startBlock, 1100);
+  assert.equal(schedule.cliffBlock, 1300);
+  assert.equal(schedule.durationBlocks, 400);
+  assert.equal(schedule.endBlock, 1500);
+  assert.deepEqual(toContractSchedule(schedule), {
+    beneficiary: "0x1",
+    totalAmount: 10n,
+    startBlock: 1100,
+    durationInBlocks: 400,
+    cliffBlock: 1300,
+  });
+});
+
+test("computeSchedule takes the fixed blocks of null parameters and checks their order", () => {
+  const timing = {
+    ...fixedTiming(1000, 100),
+    startBlock: 5000,
+    endBlock: 4000,
+  };
+  assert.throws(
+    () =>
+      computeSchedule(
+        { startOffsetDays: null, cliffDays: 0, durationDays: null },
+        timing
+      ),
+    /End block 4000 is not after start block 5000/
+  );
+});
+
+test("vestedAmount is zero before the cliff, linear after it and whole at the end", () => {
+  const schedule = {
+    totalAmount: 1000n,
+    releasedAmount: 100n,
+    startBlock: 100n,
+    cliffBlock: 200n,
+    durationInBlocks: 1000n,
+  };
+  assert.equal(vestedAmount(schedule, 199), 0n);
+  assert.equal(vestedAmount(schedule, 200), 100n);
+  assert.equal(vestedAmount(schedule, 2000), 1000n);
+  assert.deepEqual(vestingAmounts(schedule, 433), {
+    vested: 333n,
+    released: 100n,
+    claimable: 233n,
+    locked: 667n,
+  });
+  assert.equal(formatPercentage(333n, 1000n), "33.30%");
+  assert.equal(formatPercentage(1n, 3n), "33.33%");
+});
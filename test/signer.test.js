@@ -0,0 +1,279 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const quais = require("quais");
+const create = require("../commands/create");
+const sign = require("../commands/sign");
+const broadcast = require("../commands/broadcast");
+const {
+  DEFAULT_VESTING_CONTRACT_ADDRESS,
+  decodeAddBeneficiaries,
+} = require("../lib/contract");
+const { loadSigner, matchSignedTransactions } = require("../lib/signer");
+const { MockChain, CHAIN_ID } = require("./helpers/chain");
+const {
+  TEST_PRIVATE_KEY,
+  WALLETS,
+  createWorkspace,
+  testConfig,
+} = require("./helpers/workspace");
+
+const SIGNER_ADDRESS = new quais.Wallet(TEST_PRIVATE_KEY).address;
+
+let workspace;
+
+beforeEach(() => {
+  process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+  workspace = createWorkspace();
+  // The commands log every step to the console
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  workspace.remove();
+});
+
+// Export the batches of iteration 1 for an export signer
+async function exportBatches(chain, signer) {
+  workspace.writeInput(
+    1,
+    WALLETS.slice(0, 3).map((wallet, index) => [
+      wallet,
+      String((index + 1) * 1000),
+    ])
+  );
+  const { config, sources } = testConfig(create, workspace, {
+    iteration: 1,
+    batchSize: 2,
+    signer,
+    from: SIGNER_ADDRESS,
+  });
+  return create.run(config, sources, {
+    provider: chain.provider,
+    vestingContract: chain.contract,
+  });
+}
+
+// Sign the offline export of iteration 1 with PRIVATE_KEY
+async function signExport() {
+  const { config, sources } = testConfig(sign, workspace, { iteration: 1 });
+  await sign.run(config, sources);
+  return path.join(
+    workspace.recordsDir,
+    "vesting_unsigned_mainnet1.signed.json"
+  );
+}
+
+function runBroadcast(chain, signedFile) {
+  const { config, sources } = testConfig(broadcast, workspace, {
+    iteration: 1,
+    signedFile,
+  });
+  return broadcast.run(config, sources, {
+    provider: chain.provider,
+    vestingContract: chain.contract,
+  });
+}
+
+// Run create with the key signer, sending the batches of iteration 1
+function runCreate(chain) {
+  const { config, sources } = testConfig(create, workspace, {
+    iteration: 1,
+    batchSize: 2,
+  });
+  return create.run(config, sources, {
+    provider: chain.provider,
+    vestingContract: chain.contract,
+  });
+}
+
+function readJson(name) {
+  return JSON.parse(
+    fs.readFileSync(path.join(workspace.recordsDir, name), "utf8")
+  );
+}
+
+test("loadSigner decrypts a keystore with KEYSTORE_PASSPHRASE", async () => {
+  const keystore = path.join(workspace.dir, "keystore.json");
+  fs.writeFileSync(
+    keystore,
+    await new quais.Wallet(TEST_PRIVATE_KEY).encrypt("correct horse")
+  );
+  const config = { signer: "keystore", keystore };
+
+  const signer = await loadSigner(config, null, {
+    env: { KEYSTORE_PASSPHRASE: "correct horse" },
+  });
+  assert.equal(signer.address, SIGNER_ADDRESS);
+
+  await assert.rejects(
+    loadSigner(config, null, { env: {}, prompt: async () => "wrong" }),
+    /Could not decrypt .*keystore\.json/
+  );
+  assert.equal(await loadSigner({ signer: "offline" }, null), null);
+});
+
+test("offline export is signed without a node and broadcast into the ledger", async () => {
+  const chain = new MockChain();
+
+  const summary = await exportBatches(chain, "offline");
+  assert.equal(chain.sends.length, 0);
+  assert.equal(summary.exitCode, 0);
+
+  const exported = readJson("vesting_unsigned_mainnet1.json");
+  assert.equal(exported.chainId, CHAIN_ID.toString());
+  assert.deepEqual(
+    exported.transactions.map(({ transaction }) => transaction.nonce),
+    [0, 1]
+  );
+  assert.deepEqual(
+    decodeAddBeneficiaries(exported.transactions[0].transaction.data).map(
+      ({ beneficiary }) => beneficiary
+    ),
+    WALLETS.slice(0, 2)
+  );
+
+  const signedFile = await signExport();
+  const result = await runBroadcast(chain, signedFile);
+
+  assert.equal(result.confirmed, 2);
+  assert.equal(result.exitCode, 0);
+  assert.equal(chain.confirmedSends().length, 2);
+  const ledger = workspace.ledger(1);
+  for (const wallet of WALLETS.slice(0, 3)) {
+    assert.equal(ledger[wallet.toLowerCase()].state, "confirmed");
+    assert.equal(chain.scheduleOf(wallet).totalAmount > 0n, true);
+  }
+  assert.deepEqual(
+    workspace.records(1).map((row) => row.status),
+    Array(3).fill("success")
+  );
+
+  // Broadcasting again skips the confirmed batches
+  const again = await runBroadcast(chain, signedFile);
+  assert.equal(again.broadcast, 0);
+  assert.equal(chain.sends.length, 2);
+});
+
+test("sign fills in the signed transactions of the export next to it", async () => {
+  const chain = new MockChain();
+  await exportBatches(chain, "offline");
+  const exported = readJson("vesting_unsigned_mainnet1.json");
+
+  const signedFile = await signExport();
+
+  const signed = JSON.parse(fs.readFileSync(signedFile, "utf8"));
+  assert.equal(signed.transactions.length, exported.transactions.length);
+  for (const [index, entry] of signed.transactions.entries()) {
+    const tx = quais.QuaiTransaction.from(entry.signedTransaction);
+    assert.equal(tx.from, SIGNER_ADDRESS);
+    assert.equal(tx.nonce, exported.transactions[index].transaction.nonce);
+    assert.equal(tx.data, exported.transactions[index].transaction.data);
+  }
+
+  const { config, sources } = testConfig(sign, workspace, {
+    iteration: 1,
+    signer: "offline",
+  });
+  await assert.rejects(
+    sign.run(config, sources),
+    /The sign command needs --signer key or keystore/
+  );
+});
+
+test("create refuses to batch the wallets of an export that is not broadcast", async () => {
+  const chain = new MockChain();
+  await exportBatches(chain, "offline");
+
+  // Sent with the key signer, these would be created again by the export
+  await assert.rejects(
+    runCreate(chain),
+    (error) =>
+      error.name === "FatalError" &&
+      /vesting_unsigned_mainnet1\.json holds 3 wallet\(s\) that have no schedule yet/.test(
+        error.message
+      )
+  );
+  assert.equal(chain.sends.length, 0);
+
+  await runBroadcast(chain, await signExport());
+  const summary = await runCreate(chain);
+  assert.equal(summary.exitCode, 0);
+  assert.equal(chain.sends.length, 2);
+});
+
+test("create runs again once a Safe export is executed", async () => {
+  const chain = new MockChain();
+  await exportBatches(chain, "safe");
+  await assert.rejects(runCreate(chain), /vesting_safe_mainnet1\.json holds/);
+
+  // Executed by the Safe, which the ledger does not see
+  for (const wallet of WALLETS.slice(0, 3)) {
+    chain.addSchedule(wallet, 5n);
+  }
+  const summary = await runCreate(chain);
+  assert.equal(summary.exitCode, 0);
+  assert.equal(summary.skipped, 3);
+  assert.equal(chain.sends.length, 0);
+});
+
+test("broadcast refuses a contract address without the vesting contract", async () => {
+  const chain = new MockChain();
+  await exportBatches(chain, "offline");
+  const signedFile = await signExport();
+
+  chain.code = "0x";
+  await assert.rejects(
+    runBroadcast(chain, signedFile),
+    (error) =>
+      error.name === "FatalError" && /No contract at/.test(error.message)
+  );
+  assert.equal(chain.sends.length, 0);
+});
+
+test("broadcast refuses signed transactions that differ from the export", async () => {
+  const chain = new MockChain();
+  await exportBatches(chain, "offline");
+  const exported = readJson("vesting_unsigned_mainnet1.json");
+
+  // Signed with different calldata than the reviewed export
+  const signer = new quais.Wallet(TEST_PRIVATE_KEY);
+  const tampered = { ...exported.transactions[1].transaction };
+  tampered.data = exported.transactions[0].transaction.data;
+  const raws = [
+    await signer.signTransaction(exported.transactions[0].transaction),
+    await signer.signTransaction(tampered),
+  ];
+  assert.throws(
+    () => matchSignedTransactions(exported, raws),
+    /1 signed transaction\(s\) do not match the export, nothing was broadcast:\n {2}transaction at nonce 1: calldata differs/
+  );
+
+  const signedFile = path.join(workspace.dir, "signed.txt");
+  fs.writeFileSync(signedFile, raws.join("\n") + "\n");
+  await assert.rejects(runBroadcast(chain, signedFile), /do not match/);
+  assert.equal(chain.sends.length, 0);
+});
+
+test("safe export holds one addBeneficiaries call per batch", async () => {
+  const chain = new MockChain();
+  await exportBatches(chain, "safe");
+
+  const batch = readJson("vesting_safe_mainnet1.json");
+  assert.equal(batch.chainId, CHAIN_ID.toString());
+  assert.equal(batch.meta.createdFromSafeAddress, SIGNER_ADDRESS);
+  assert.equal(batch.transactions.length, 2);
+  for (const call of batch.transactions) {
+    assert.equal(call.value, "0");
+    assert.equal(call.to, DEFAULT_VESTING_CONTRACT_ADDRESS);
+  }
+  assert.deepEqual(
+    decodeAddBeneficiaries(batch.transactions[1].data).map(
+      ({ beneficiary }) => beneficiary
+    ),
+    [WALLETS[2]]
+  );
+  assert.equal(chain.sends.length, 0);
+});
@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  FatalError,
+  runWithRestarts,
+  signalExitCode,
+} = require("../lib/supervisor");
+
+// Function failing its first `failures` calls
+function failing(failures, error = () => new Error("connection reset")) {
+  const fn = async () => {
+    fn.calls++;
+    if (fn.calls <= failures) {
+      throw error();
+    }
+    return "done";
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+test("restarts after errors with a doubling delay", async () => {
+  const fn = failing(2);
+  const delays = [];
+
+  const result = await runWithRestarts(fn, {
+    maxRestarts: 3,
+    delayMs: 1,
+    log: (message, { delayMs }) => delays.push(delayMs),
+  });
+
+  assert.equal(result, "done");
+  assert.equal(fn.calls, 3);
+  assert.deepEqual(delays, [1, 2]);
+});
+
+test("gives up after the maximum restarts", async () => {
+  const fn = failing(5);
+
+  await assert.rejects(
+    runWithRestarts(fn, { maxRestarts: 2, delayMs: 1, log: () => {} }),
+    /connection reset/
+  );
+  assert.equal(fn.calls, 3);
+});
+
+test("never restarts after a fatal error or once asked to stop", async () => {
+  const fatal = failing(1, () => new FatalError("Pre-flight check failed"));
+  await assert.rejects(
+    runWithRestarts(fatal, { maxRestarts: 3, delayMs: 1, log: () => {} }),
+    FatalError
+  );
+  assert.equal(fatal.calls, 1);
+
+  const stopped = failing(1);
+  await assert.rejects(
+    runWithRestarts(stopped, {
+      maxRestarts: 3,
+      delayMs: 1,
+      shouldStop: () => true,
+      log: () => {},
+    })
+  );
+  assert.equal(stopped.calls, 1);
+});
+
+test("exit codes of signals follow the shell convention", () => {
+  assert.equal(signalExitCode("SIGINT"), 130);
+  assert.equal(signalExitCode("SIGTERM"), 143);
+});
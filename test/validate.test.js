@@ -0,0 +1,83 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const validate = require("../commands/validate");
+const { WALLETS, createWorkspace, testConfig } = require("./helpers/workspace");
+
+let workspace;
+
+beforeEach(() => {
+  workspace = createWorkspace();
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  workspace.remove();
+});
+
+// Validate the input of iteration 1 in QUAI
+function runValidate(flags = {}) {
+  const { config, sources } = testConfig(validate, workspace, {
+    iteration: 1,
+    amountUnit: "quai",
+    ...flags,
+  });
+  return validate.run(config, sources);
+}
+
+function readReport() {
+  return JSON.parse(
+    fs.readFileSync(
+      path.join(workspace.recordsDir, "vesting_validate_vesting_amounts1.json"),
+      "utf8"
+    )
+  );
+}
+
+test("reports every invalid row and writes no normalized file", async () => {
+  workspace.writeInput(1, [
+    [WALLETS[0], "1"],
+    ["not-an-address", "1"],
+    [WALLETS[0].toLowerCase(), "2"],
+  ]);
+  const output = path.join(workspace.dir, "normalized.csv");
+
+  await assert.rejects(
+    runValidate({ output }),
+    /Validation found 2 error\(s\) in .*vesting_amounts1\.csv/
+  );
+
+  const report = readReport();
+  assert.equal(report.rows, 3);
+  assert.equal(report.beneficiaries, 1);
+  assert.deepEqual(
+    report.errors.map(({ line, message }) => [line, message]),
+    [
+      [3, "not-an-address is not a valid address"],
+      [4, "duplicate of line 2"],
+    ]
+  );
+  assert.equal(fs.existsSync(output), false);
+});
+
+test("writes a valid file normalized, with duplicates merged", async () => {
+  workspace.writeInput(1, [
+    [WALLETS[0].toLowerCase(), " 1.5 "],
+    [WALLETS[1], "2"],
+    [WALLETS[0], "1"],
+  ]);
+  const output = path.join(workspace.dir, "normalized.csv");
+
+  await runValidate({ output, mergeDuplicates: true });
+
+  assert.equal(
+    fs.readFileSync(output, "utf8"),
+    `wallet,total\n${WALLETS[0]},2.5\n${WALLETS[1]},2.0\n`
+  );
+  const report = readReport();
+  assert.equal(report.merged, 1);
+  assert.equal(report.totalAmount, "4500000000000000000");
+  assert.deepEqual(report.errors, []);
+});
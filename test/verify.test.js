@@ -0,0 +1,207 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const create = require("../commands/create");
+const verify = require("../commands/verify");
+const { MockChain } = require("./helpers/chain");
+const {
+  TEST_PRIVATE_KEY,
+  WALLETS,
+  createWorkspace,
+  testConfig,
+} = require("./helpers/workspace");
+
+let workspace;
+
+beforeEach(() => {
+  process.env.PRIVATE_KEY = TEST_PRIVATE_KEY;
+  workspace = createWorkspace();
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  workspace.remove();
+});
+
+// Input rows giving each wallet a distinct amount
+function inputRows(wallets) {
+  return wallets.map((wallet, index) => [wallet, String((index + 1) * 1000)]);
+}
+
+// Create the schedules of iteration 1 on the chain from the input rows
+async function createSchedules(chain, rows, flags = {}) {
+  workspace.writeInput(1, rows);
+  const { config, sources } = testConfig(create, workspace, {
+    iteration: 1,
+    ...flags,
+  });
+  const summary = await create.run(config, sources, {
+    provider: chain.provider,
+    vestingContract: chain.contract,
+  });
+  assert.equal(summary.exitCode, 0);
+}
+
+const recordsFile = () =>
+  path.join(workspace.recordsDir, "vesting_records_mainnet1.csv");
+const reportFile = () => path.join(workspace.recordsDir, "verify_report");
+
+// Run the verify command against the chain
+function runVerify(chain, flags = {}) {
+  const { config, sources } = testConfig(verify, workspace, {
+    reportFile: reportFile(),
+    ...flags,
+  });
+  return verify.run(config, sources, {
+    provider: chain.provider,
+    vestingContract: chain.contract,
+  });
+}
+
+function readReport() {
+  return JSON.parse(fs.readFileSync(`${reportFile()}.json`, "utf8"));
+}
+
+test("reports missing, wrong and unexpected schedules against the input and records", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 5);
+  await createSchedules(chain, inputRows(wallets));
+
+  // The verified input leaves out the last wallet, which the records hold
+  const input = workspace.writeInput(2, inputRows(wallets.slice(0, 4)));
+  chain.schedules.delete(wallets[1].toLowerCase());
+  chain.scheduleOf(wallets[2]).totalAmount = 1n;
+  chain.scheduleOf(wallets[3]).durationInBlocks += 1n;
+
+  await assert.rejects(
+    runVerify(chain, { input, recordsFile: recordsFile() }),
+    /Verification found 4 discrepancies in 4 wallets/
+  );
+
+  const report = readReport();
+  assert.equal(report.checked, 5);
+  assert.equal(report.matching, 1);
+  assert.deepEqual(
+    report.mismatches.map(({ wallet, issue, field }) => [wallet, issue, field]),
+    [
+      [wallets[1], "missing", ""],
+      [wallets[2], "wrong_amount", "totalAmount"],
+      [wallets[3], "wrong_schedule", "durationInBlocks"],
+      [wallets[4], "unexpected", ""],
+    ]
+  );
+  assert.deepEqual(report.unknown, []);
+});
+
+test("reads the input as create does, with merged duplicates", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 2);
+  const rows = [
+    [wallets[0], "1000"],
+    [wallets[1], "2000"],
+    [wallets[0].toLowerCase(), "500"],
+  ];
+  await createSchedules(chain, rows, { mergeDuplicates: true });
+
+  // A BOM and padded header names, as spreadsheets write them
+  const input = path.join(workspace.dir, "verify.csv");
+  fs.writeFileSync(
+    input,
+    `\uFEFF Wallet , Total \n${rows.map((row) => row.join(",")).join("\n")}\n`
+  );
+
+  const result = await runVerify(chain, { input, mergeDuplicates: true });
+
+  assert.equal(result, undefined);
+  const report = readReport();
+  assert.equal(report.checked, 2);
+  assert.equal(report.matching, 2);
+
+  await assert.rejects(runVerify(chain, { input }), /1 invalid row\(s\)/);
+});
+
+test("a matching distribution verifies from the records alone", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 3);
+  await createSchedules(chain, inputRows(wallets));
+
+  const result = await runVerify(chain, {
+    recordsFile: recordsFile(),
+    concurrency: 2,
+  });
+
+  assert.equal(result, undefined);
+  const report = readReport();
+  assert.equal(report.matching, 3);
+  assert.deepEqual(report.mismatches, []);
+});
+
+test("checks an iteration created from calendar dates against the recorded blocks", async () => {
+  // The measured block time gives other durations than the input's days
+  const chain = new MockChain({ secondsPerBlock: 10 });
+  const wallets = WALLETS.slice(0, 2);
+  const now = chain.block(chain.blockNumber).woHeader.timestamp;
+  const daysFromNow = (days) =>
+    new Date((now + days * 86400) * 1000).toISOString().replace(".000", "");
+  await createSchedules(chain, inputRows(wallets), {
+    startDate: daysFromNow(10),
+    cliffDate: daysFromNow(40),
+    endDate: daysFromNow(100),
+  });
+  const input = path.join(workspace.dataDir, "vesting_amounts1.csv");
+
+  const result = await runVerify(chain, {
+    input,
+    recordsFile: recordsFile(),
+  });
+
+  assert.equal(result, undefined);
+  assert.equal(readReport().matching, 2);
+});
+
+test("reports a failed lookup as unknown and exits 2", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 3);
+  await createSchedules(chain, inputRows(wallets));
+
+  const beneficiaries = chain.contract.beneficiaries;
+  chain.contract.beneficiaries = async (wallet) => {
+    if (wallet === wallets[1]) {
+      throw new Error("upstream timeout");
+    }
+    return beneficiaries(wallet);
+  };
+
+  const result = await runVerify(chain, { recordsFile: recordsFile() });
+
+  assert.equal(result.exitCode, 2);
+  const report = readReport();
+  assert.equal(report.matching, 2);
+  assert.deepEqual(report.unknown, [
+    { wallet: wallets[1], error: "Failed after 2 attempts: upstream timeout" },
+  ]);
+  assert.match(
+    fs.readFileSync(`${reportFile()}.csv`, "utf8"),
+    new RegExp(`${wallets[1]},unknown,,,Failed after 2 attempts`)
+  );
+});
+
+test("only verifies the wallets the records sent", async () => {
+  const chain = new MockChain();
+  const wallets = WALLETS.slice(0, 2);
+  await createSchedules(chain, inputRows(wallets));
+
+  // A batch of another wallet that reverted, so it never had a schedule
+  fs.appendFileSync(
+    recordsFile(),
+    `${WALLETS[2]},3000,,failed,1000,1000,1000,2000,5\n`
+  );
+
+  await runVerify(chain, { recordsFile: recordsFile() });
+
+  const report = readReport();
+  assert.equal(report.checked, 2);
+  assert.deepEqual(report.mismatches, []);
+});
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+const dotenv = require("dotenv");
+const { parseArgs, resolveConfig, formatOptionsHelp } = require("./lib/config");
+const { EXIT_CODES } = require("./lib/supervisor");
+
+const COMMANDS = {
+  create: require("./commands/create"),
+  check: require("./commands/check"),
+  verify: require("./commands/verify"),
+  history: require("./commands/history"),
+  validate: require("./commands/validate"),
+  sign: require("./commands/sign"),
+  broadcast: require("./commands/broadcast"),
+};
+
+// Print the list of commands
+function printUsage() {
+  console.log("Usage: node vesting.js <command> [options]\n");
+  console.log("Commands:");
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(11)}${command.description}`);
+  }
+  console.log('\nRun "node vesting.js <command> --help" for its options.');
+}
+
+// Print the options of a command
+function printCommandHelp(name, command) {
+  const args = command.positionals ? ` [${command.positionals}...]` : "";
+  console.log(`Usage: node vesting.js ${name} [options]${args}\n`);
+  console.log(command.description);
+  console.log("\nOptions:");
+  for (const line of formatOptionsHelp(command.options)) {
+    console.log(line);
+  }
+}
+
+// Parse the command line and run the selected command. Resolves to the
+// process exit code: the one reported by the command, else 0.
+async function main(argv) {
+  dotenv.config();
+  const [name, ...args] = argv;
+
+  if (!name || name === "--help" || name === "-h") {
+    printUsage();
+    return EXIT_CODES.success;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    printUsage();
+    throw new Error(`Unknown command: ${name}`);
+  }
+
+  const { flags, positionals, help } = parseArgs(args, command.options);
+  if (help) {
+    printCommandHelp(name, command);
+    return EXIT_CODES.success;
+  }
+
+  if (command.positionals) {
+    if (positionals.length > 0) {
+      flags[command.positionals] = (flags[command.positionals] || []).concat(
+        positionals
+      );
+    }
+  } else if (positionals.length > 0) {
+    throw new Error(`Unexpected argument: ${positionals[0]}`);
+  }
+
+  const { config, sources } = resolveConfig(command.options, flags);
+  const result = await command.run(config, sources);
+  return result && result.exitCode !== undefined
+    ? result.exitCode
+    : EXIT_CODES.success;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exit(exitCode);
+    })
+    .catch((error) => {
+      console.error(`Error: ${error.message}`);
+      process.exit(EXIT_CODES.error);
+    });
+}
+
+module.exports = { main };